@@ -4,18 +4,19 @@
 'use strict';
 
 var path = require('path');
+var stream = require('stream');
 var compress = require('compression');
 var cors = require('cors');
 var bodyParser = require('body-parser');
 // var Promise = require('promise');
 var express = require('express');
 var ReadWriteLock = require('rwlock');
-var frankenlib = require('frankenlib');
+var errors = require('feathers-errors');
 
 function hookTimestamp(hook) {
 	var timestamp = new Date();
 	if ("timestamp" in hook.params && hook.params.timestamp !== null) {
-		if (timestamp instanceof Date) timestamp = hook.params.timestamp;
+		if (hook.params.timestamp instanceof Date) timestamp = hook.params.timestamp;
 		else timestamp = new Date(hook.params.timestamp);
 	}
 	return timestamp;
@@ -128,8 +129,9 @@ function splitSubmodelData(schema, data) {
 	return output;
 }
 function flattenHierarchy(dest, prefix, delimiter, current) {
+	// Arrays stay whole, since the number of elements is not known from the schema.
 	if (current == null) {
-	} else if (current instanceof Object) {
+	} else if (current instanceof Object && !(current instanceof Array && prefix)) {
 		var tc;
 		for (tc in current) {
 			flattenHierarchy(dest, (prefix ? prefix + delimiter + tc : tc), delimiter, current[tc]);
@@ -156,13 +158,15 @@ var security_template = {
 	// Each subobject of fields represents a field of the class or data type.
 	// Each subobject of the field represents a rule or a property of the field.
 	// These include
-	//	type, a string representation of the JavaScript type of the field, such as 'string', to be enforced
-	// 	validation, a string of feathers-validator rules to be enforced
+	//	type, a string representation of the JavaScript type of the field, such as 'string', or 'array' for an array, to be enforced
+	// 	validation, a string of validation rules (from validation_rules, as in 'max:255|alpha_dash') to be enforced
 	// 	is_primary_key, a number set to 0 or to 1 with obvious meaning
 	// 	is_user_writable, a number, which must be 1 if the user is to be able to write a record with that value specified
 	// 	target_class, a string naming the class (specified in data_schema) to which the field points
-	// 	target_authority, a number specifying the level of access that the target_user must have to the referenced record (using the field value as the index value, target_class from the schema as the service/table/class name, and the id_name from the security service as the index name) in order to create a record holding such reference.
+	// 	target_authority, a privilege specification (a number or names from privileges, as accepted by privilegeBits) specifying the level of access that the target_user must have to the referenced record (using the field value as the index value, target_class from the schema as the service/table/class name, and the id_name from the security service as the index name) in order to create a record holding such reference.
 	// 	recursive_reference_check, a numeric flag specifying whether to check the validity and non-loopiness of the reference chain from this field (within the same class, using the security service id_name as the primary key) before allowing creation/updates
+	// 	items, for a field whose type is 'array', a field specification (with a type, submodel, or submodel_inline and perhaps validation, target_class, and target_authority) that each element must meet
+	// 	min_items and max_items, numbers bounding the length of an array field, and unique_items, a numeric flag requiring its elements to differ
 	// .
 	// Example:
 	// 	data_schema: {
@@ -184,6 +188,26 @@ var security_template = {
 	//		},
 	//	}
 	// .
+	// A class may also carry a version, a whole number, and migrations, an object keyed by version whose entries list the steps that bring a record from the previous version to that one.
+	// The steps are
+	// 	{op: 'add_default', field, value}, which sets the field to value where it is missing
+	// 	{op: 'rename', from, to}, which moves the value of one field to another
+	// 	{op: 'split', fields, into}, which moves the listed fields (or, if fields is an object, the fields named by its keys, renamed to its values) into the submodel field named by into
+	// 	{op: 'coerce', field, type}, which converts the value of the field to a 'number', 'string', 'boolean', 'date', or 'array'
+	// .
+	// The hooks stamp each record of a versioned class that they create or update with the version, in the field named by schema_version_field, which the class must declare as an unwritable number.
+	// A patch keeps the stamp that the record had, since the rest of the record has not been migrated.
+	// A record without the stamp counts as version 0. migrateRecord brings one record up to date, and migrateClass does so for a whole service.
+	// Example:
+	// 	'partners': {
+	// 		version: 2,
+	// 		migrations: {
+	// 			1: [{op: 'rename', from: 'title', to: 'name'}],
+	// 			2: [{op: 'split', fields: {street: 'line1', city: 'city'}, into: 'address'}, {op: 'add_default', field: 'active', value: true}]
+	// 		},
+	// 		fields: { ... }
+	// 	}
+	// .
 	// data_schema: { },
 	// privilege_transit provides for a user with access to one entity to access a second entity owned or controlled by the first.
 	// privilege_transit is an object whose subobjects represent the classes/services of the application.
@@ -196,6 +220,262 @@ var security_template = {
 	//	}
 	// .
 	// So somebody with an access level of 6 on partner P1 also has an access level of 6 on ship S1 if the owner_id on ship S1 is P1.
+	// A relationship object may also carry a mask, which limits the bits that pass, and a when predicate, which is a query in the Feathers vocabulary that the child record must match for the link to pass anything.
+	// The key field may hold an array of parent ids, in which case the record inherits from all of them.
+	// Instead of a key, a relationship object may name a join service: {via: 'shop_products', from: 'product_id', to: 'shop_id', 'class': 'shops'} links each product to every shop paired with it in shop_products.
+	// Example:
+	// 	privilege_transit: {
+	// 		'sales': [{key: 'shop_id', 'class': 'shops', when: {status: {'$ne': 'draft'}}}],
+	// 		'saledocuments': [{key: 'sale_id', 'class': 'sales', when: {shared: true}}]
+	//	}
+	// .
+	// privileges is the registry of privilege bits.
+	// Its bits subobject names each bit and marks whether it passes through privilege_transit.
+	// Its roles subobject defines composite privileges, each a number, a name, or an array of names; the administrator role is what userIsAdministrator confers.
+	// Its checks subobject defines the tests used by userCanRead and the like, each requiring any or all of the listed privileges; a check it lacks falls back on the default one.
+	// By default, view (1) allows reading the record alone, read (2) allows reading and listing children, write (4) allows writing, and manage (8) allows revoking authorities.
+	// The privilege and deny fields of authority records, target_authority, and the minimum_bits of whoCanAccess accept these names wherever they accept numbers.
+	// An authority record may also carry a role field naming a role, which accessLevelSlow expands when it evaluates the record.
+	// An authority record may also carry valid_from and valid_until fields; it grants nothing before valid_from or from valid_until onward.
+	// The hooks evaluate these bounds as of params.timestamp (as hookTimestamp does) if it is set and as of now otherwise.
+	// An authority record may also carry a deny field (a privilege specification) naming bits to withhold from the user on the target record and, through it, on its descendants.
+	// Precedence is as follows.
+	// 	At each record, the level is the union of the grants on that record and the bits inherited through privilege_transit, less the bits denied on that record.
+	// 	So a deny entry beats any grant on the same record or above it, but a grant on a record below it still confers its bits from there down.
+	// 	Administrators keep the whole administrator role regardless of deny entries unless deny_overrides_administrator is set, in which case deny entries on the record or any ancestor apply to them too.
+	// group_service and membership_service, if set, name the services holding groups and their memberships.
+	// A membership record has a group_id and either a user_id or, to nest one group in another, a member_group_id.
+	// An authority record may then name a group_id instead of a user_id, and it applies to every member of the group and of the groups nested in it.
+	// accessLevelAt evaluates access at a past time, counting authority records by created_at and destroyed_at and reading overlaid classes from the overlay live at that time.
+	// access_cache_ttl, if set to a number of milliseconds, enables a cache of parent links and access levels shared across requests (see accessLevelCached).
+	// access_cache_hooks, if set, makes the hookUserCan* hooks create a request cache at hook.params.accessCache when the caller has not supplied one.
+	// privilege_transit_max_depth limits how many links accessLevelSlow and accessLevelMany follow up privilege_transit from the original item (64 by default).
+	// validation_rules holds the rules that validation strings may name, starting with those from validationRulesDefault; registerValidationRule adds more.
+	// structured_validation_errors, if set, makes checkTypes and its variants check every field rather than stopping at the first failure.
+	// They then reject (if dramatic) with a BadRequest whose errors property maps each failing field, by its underscore-joined path as in generateFormCrude, to a list of {path, code, rule, parameter, value, message}.
+	// access_batch_size limits the number of ids in each $in query issued by accessLevelMany and hookFilterReadable.
+	// schema_version_field names the field holding the version of each record of a versioned class (schema_version by default).
+	validateConfiguration: function(dramatic, check_services) {
+		// This checks privilege_transit, data_schema, models, and privileges for consistency and returns a list of problems, each {path, message}.
+		// The path locates the offending setting, as in privilege_transit.sales[0].class or data_schema.sales.fields.shop_id.target_class.
+		// If check_services is set, this also checks that the services named by the configuration are registered on the app, so it should run after the services are set up.
+		// If dramatic is set, this throws an error listing the problems (also attached as its problems property) rather than returning them.
+		var security = this;
+		var problems = [];
+		var report = function (path, message) { problems.push({'path': path, 'message': message}); };
+		var hasService = function (name) {
+			if (!check_services || !(security.app instanceof Object)) return true;
+			if (security.app.services instanceof Object) return (name in security.app.services && security.app.services[name] != null);
+			try { return (typeof(security.app.service) == 'function' && security.app.service(name) != null); } catch (err) { return false; }
+		};
+		// The users class is built in, so it need not appear in data_schema.
+		var knownClass = function (name) { return (typeof(name) == 'string' && (name == 'users' || (security.data_schema instanceof Object && name in security.data_schema))); };
+		var checkQuery = function (query, path) {
+			// This accepts the vocabulary of recordMatchesQuery.
+			if (!(query instanceof Object) || query instanceof Array) { report(path, "The predicate must be a query object."); return; }
+			var qname;
+			for (qname in query) {
+				if (qname == '$or' || qname == '$and') {
+					if (!(query[qname] instanceof Array)) report(path + "." + qname, "The operand must be an array of queries.");
+					else query[qname].forEach(function (sub, q_ind, q_arr) { checkQuery(sub, path + "." + qname + "[" + q_ind + "]"); });
+				} else if (qname.charAt(0) == '$') {
+					if (['$limit', '$skip', '$sort', '$select'].indexOf(qname) < 0) report(path + "." + qname, "Unknown operator " + qname + ".");
+				} else if (query[qname] instanceof Object && !(query[qname] instanceof Date) && !(query[qname] instanceof Array)) {
+					var op;
+					for (op in query[qname]) {
+						if (['$in', '$nin', '$ne', '$lt', '$lte', '$gt', '$gte'].indexOf(op) < 0) report(path + "." + qname + "." + op, "Unknown operator " + op + ".");
+						else if ((op == '$in' || op == '$nin') && !(query[qname][op] instanceof Array)) report(path + "." + qname + "." + op, "The operand must be an array.");
+					}
+				}
+			}
+		};
+		var checkSchema = function (schema, path) {
+			if (!(schema instanceof Object) || !(schema.fields instanceof Object)) { report(path + ".fields", "The schema must have a fields object."); return; }
+			var fname;
+			for (fname in schema.fields) checkField(schema.fields[fname], path + ".fields." + fname);
+		};
+		var checkField = function (field, fpath) {
+			if (!(field instanceof Object)) { report(fpath, "The field must be an object."); return; }
+			if (field['type'] == 'array') {
+				// Without items, the elements may be anything.
+				if ('items' in field) checkField(field['items'], fpath + ".items");
+				['min_items', 'max_items'].forEach(function (bname, b_ind, b_arr) {
+					if (bname in field && !(typeof(field[bname]) == 'number' && field[bname] >= 0 && Math.floor(field[bname]) == field[bname])) report(fpath + "." + bname, "The bound must be a whole number.");
+				});
+				if (typeof(field['min_items']) == 'number' && typeof(field['max_items']) == 'number' && field['min_items'] > field['max_items']) report(fpath + ".min_items", "The bound exceeds max_items.");
+			} else if ('items' in field || 'min_items' in field || 'max_items' in field || 'unique_items' in field) {
+				report(fpath, "Only an array field can have items, min_items, max_items, or unique_items.");
+			}
+			if ('target_class' in field && field['target_class'] != null) {
+				if (!knownClass(field['target_class'])) report(fpath + ".target_class", "The class " + field['target_class'] + " is not in data_schema.");
+				else if (!hasService(field['target_class'])) report(fpath + ".target_class", "There is no service " + field['target_class'] + ".");
+				if ('submodel' in field || 'submodel_inline' in field) report(fpath, "The field cannot have both target_class and a submodel.");
+			}
+			if ('validation' in field && field['validation'] != null) {
+				if (typeof(field['validation']) != 'string') report(fpath + ".validation", "The validation must be a string.");
+				else security.parseValidationRule(field['validation']).forEach(function (entry, e_ind, e_arr) {
+					if ('error' in entry) report(fpath + ".validation", "Bad parameter for rule " + entry.name + ": " + entry.error.message);
+				});
+			}
+			if ('target_authority' in field && security.privilegeBits(field['target_authority']) == null) report(fpath + ".target_authority", "Unknown privilege " + JSON.stringify(field['target_authority']) + ".");
+			if ('submodel' in field && field['submodel'] != null) {
+				if (typeof(field['submodel']) != 'string' || !(security.models instanceof Object) || !(field['submodel'] in security.models)) report(fpath + ".submodel", "The model " + field['submodel'] + " is not in models.");
+			}
+			if ('submodel_inline' in field && field['submodel_inline'] != null) checkSchema(field['submodel_inline'], fpath + ".submodel_inline");
+		};
+		var checkRules = function (rules, path) {
+			// This checks the record-wide rules that checkRulesCrude applies.
+			if (!(rules instanceof Array)) { report(path, "The rules must be an array."); return; }
+			rules.forEach(function (rulev, rulei, rulea) {
+				var rpath = path + "[" + rulei + "]";
+				var rp = ((rulev instanceof Object && rulev.parameters instanceof Object) ? rulev.parameters : {});
+				if (!(rulev instanceof Object) || ['unique', 'required_if', 'exactly_one_of', 'ordering', 'sum', 'predicate'].indexOf(rulev['type']) < 0) {
+					report(rpath + ".type", "Unknown rule type " + ((rulev instanceof Object) ? rulev['type'] : rulev) + ".");
+				} else if (rulev['type'] == 'required_if') {
+					if (typeof(rp.field) != 'string') report(rpath + ".parameters.field", "The rule must name a field.");
+					if ('when' in rp) checkQuery(rp.when, rpath + ".parameters.when");
+				} else if (rulev['type'] == 'predicate') {
+					if (typeof(rp.check) != 'function') report(rpath + ".parameters.check", "The rule must have a check function.");
+				} else if (!(rp.fields instanceof Array) || rp.fields.length == 0) {
+					report(rpath + ".parameters.fields", "The rule must list its fields.");
+				}
+			});
+		};
+		var checkVersioning = function (schema, path) {
+			// This checks the version and migrations that migrateRecord applies.
+			var vfield = security.schema_version_field;
+			if (!(typeof(schema.version) == 'number' && schema.version >= 0 && Math.floor(schema.version) == schema.version)) report(path + ".version", "The version must be a whole number.");
+			if (schema.fields instanceof Object && !(vfield in schema.fields)) report(path + ".fields", "A versioned class must declare the field " + vfield + ".");
+			else if (schema.fields instanceof Object && (!(schema.fields[vfield] instanceof Object) || schema.fields[vfield]['type'] != 'number' || schema.fields[vfield]['is_user_writable'] != 0))
+				report(path + ".fields." + vfield, "The version field must be an unwritable number.");
+			if (!('migrations' in schema)) return;
+			if (!(schema.migrations instanceof Object) || schema.migrations instanceof Array) { report(path + ".migrations", "The migrations must be an object keyed by version."); return; }
+			var mversion;
+			for (mversion in schema.migrations) {
+				var mpath = path + ".migrations." + mversion;
+				if (!(Number(mversion) >= 1 && Math.floor(Number(mversion)) == Number(mversion) && !(Number(mversion) > schema.version))) report(mpath, "The migration must target a version from 1 to " + schema.version + ".");
+				if (!(schema.migrations[mversion] instanceof Array)) { report(mpath, "The steps must be in an array."); continue; }
+				schema.migrations[mversion].forEach(function (step, s_ind, s_arr) {
+					var spath = mpath + "[" + s_ind + "]";
+					if (!(step instanceof Object) || ['add_default', 'rename', 'split', 'coerce'].indexOf(step['op']) < 0) {
+						report(spath + ".op", "Unknown migration step " + ((step instanceof Object) ? step['op'] : step) + ".");
+					} else if (step['op'] == 'rename') {
+						if (typeof(step['from']) != 'string' || typeof(step['to']) != 'string') report(spath, "The step must name the fields from and to.");
+					} else if (step['op'] == 'split') {
+						if (typeof(step['into']) != 'string') report(spath + ".into", "The step must name the submodel field into.");
+						if (!(step['fields'] instanceof Object)) report(spath + ".fields", "The step must list its fields.");
+					} else if (typeof(step['field']) != 'string') {
+						report(spath + ".field", "The step must name a field.");
+					} else if (step['op'] == 'coerce' && ['number', 'string', 'boolean', 'date', 'array'].indexOf(step['type']) < 0) {
+						report(spath + ".type", "Unknown type " + step['type'] + ".");
+					}
+				});
+			}
+		};
+		var cname;
+		if (!(security.data_schema instanceof Object)) report("data_schema", "The data schema must be an object.");
+		else for (cname in security.data_schema) {
+			checkSchema(security.data_schema[cname], "data_schema." + cname);
+			if (security.data_schema[cname] instanceof Object && 'rules' in security.data_schema[cname]) checkRules(security.data_schema[cname].rules, "data_schema." + cname + ".rules");
+			if (security.data_schema[cname] instanceof Object && ('version' in security.data_schema[cname] || 'migrations' in security.data_schema[cname])) checkVersioning(security.data_schema[cname], "data_schema." + cname);
+			if (security.data_schema[cname] instanceof Object && 'overlay_name' in security.data_schema[cname] && security.data_schema[cname].overlay_name && !hasService(security.data_schema[cname].overlay_name))
+				report("data_schema." + cname + ".overlay_name", "There is no service " + security.data_schema[cname].overlay_name + ".");
+			if (!hasService(cname)) report("data_schema." + cname, "There is no service " + cname + ".");
+		}
+		if (security.models instanceof Object) for (cname in security.models) checkSchema(security.models[cname], "models." + cname);
+		// A model that contains itself, directly or through other models, would make inlineSchema and jsonSchemaFromSchema recurse forever.
+		if (security.models instanceof Object) {
+			var modelRefs = function (fields, refs) {
+				// This lists the models that the fields name, including those in inline submodels and array items.
+				var fname;
+				var fieldRefs = function (field) {
+					if (!(field instanceof Object)) return;
+					if (typeof(field['submodel']) == 'string' && refs.indexOf(field['submodel']) < 0) refs.push(field['submodel']);
+					if (field['submodel_inline'] instanceof Object && field['submodel_inline'].fields instanceof Object) modelRefs(field['submodel_inline'].fields, refs);
+					if (field['items'] instanceof Object) fieldRefs(field['items']);
+				};
+				if (fields instanceof Object) for (fname in fields) fieldRefs(fields[fname]);
+				return refs;
+			};
+			var finished = {};
+			var visitModel = function (mname, trail) {
+				if (trail.indexOf(mname) >= 0) {
+					report("models." + mname, "The model contains itself (" + trail.slice(trail.indexOf(mname)).concat([mname]).join(" -> ") + ").");
+					return;
+				}
+				if (mname in finished || !(security.models[mname] instanceof Object)) return;
+				modelRefs(security.models[mname].fields, []).forEach(function (ref, r_ind, r_arr) { visitModel(ref, trail.concat([mname])); });
+				finished[mname] = 1;
+			};
+			for (cname in security.models) visitModel(cname, []);
+		}
+		if (!(security.privilege_transit instanceof Object)) report("privilege_transit", "The privilege transit table must be an object.");
+		else for (cname in security.privilege_transit) {
+			var tpath = "privilege_transit." + cname;
+			if (!knownClass(cname)) report(tpath, "The class " + cname + " is not in data_schema.");
+			if (!(security.privilege_transit[cname] instanceof Array)) { report(tpath, "The entries must be in an array."); continue; }
+			security.privilege_transit[cname].forEach(function (entry, e_ind, e_arr) {
+				var epath = tpath + "[" + e_ind + "]";
+				if (!(entry instanceof Object)) { report(epath, "The entry must be an object."); return; }
+				if (!knownClass(entry['class'])) report(epath + ".class", "The class " + entry['class'] + " is not in data_schema.");
+				if ('via' in entry && entry['via'] != null) {
+					if (typeof(entry['via']) != 'string') report(epath + ".via", "The join service must be named by a string.");
+					else if (!hasService(entry['via'])) report(epath + ".via", "There is no service " + entry['via'] + ".");
+					if (typeof(entry['from']) != 'string') report(epath + ".from", "A join entry needs a from field.");
+					if (typeof(entry['to']) != 'string') report(epath + ".to", "A join entry needs a to field.");
+				} else if (typeof(entry['key']) != 'string') {
+					report(epath + ".key", "The entry needs a key or a via.");
+				} else if (cname in security.data_schema && security.data_schema[cname] instanceof Object && security.data_schema[cname].fields instanceof Object && !(entry['key'] in security.data_schema[cname].fields)) {
+					report(epath + ".key", "The field " + entry['key'] + " is not in data_schema." + cname + ".");
+				}
+				if ('mask' in entry && typeof(entry['mask']) != 'number') report(epath + ".mask", "The mask must be a number.");
+				if ('when' in entry && entry['when'] != null) checkQuery(entry['when'], epath + ".when");
+			});
+		}
+		// A class linking to itself, such as a class of folders linking to parent folders, is legitimate, but a cycle through other classes is reported.
+		if (security.privilege_transit instanceof Object) {
+			var reported = {};
+			var visit = function (curr_class, trail) {
+				if (trail.indexOf(curr_class) >= 0) {
+					var cycle = trail.slice(trail.indexOf(curr_class)).concat([curr_class]);
+					var cycle_key = cycle.slice(0, -1).sort().join(" ");
+					if (!(cycle_key in reported)) report("privilege_transit." + trail[trail.indexOf(curr_class)], "The classes form a cycle (" + cycle.join(" -> ") + ").");
+					reported[cycle_key] = 1;
+					return;
+				}
+				if (!(security.privilege_transit[curr_class] instanceof Array)) return;
+				security.privilege_transit[curr_class].forEach(function (entry, e_ind, e_arr) {
+					if (entry instanceof Object && typeof(entry['class']) == 'string' && entry['class'] != curr_class) visit(entry['class'], trail.concat([curr_class]));
+				});
+			};
+			for (cname in security.privilege_transit) visit(cname, []);
+		}
+		if (security.privileges instanceof Object) {
+			var rname;
+			if (security.privileges.roles instanceof Object) for (rname in security.privileges.roles) {
+				if (security.privilegeBits(security.privileges.roles[rname]) == null) report("privileges.roles." + rname, "The role names an unknown privilege.");
+			}
+			if (security.privileges.checks instanceof Object) for (rname in security.privileges.checks) {
+				var check = security.privileges.checks[rname];
+				if (!(check instanceof Object) || !(('any' in check) || ('all' in check))) report("privileges.checks." + rname, "The check needs an any or an all list.");
+				else if (security.privilegeBits(('any' in check) ? check['any'] : check['all']) == null) report("privileges.checks." + rname, "The check names an unknown privilege.");
+			}
+			// The module uses the default checks by name, and a registry lacking one gets the default, which must then make sense with its bits and roles.
+			for (rname in privilegesDefault().checks) {
+				if (security.privileges.checks instanceof Object && rname in security.privileges.checks) continue;
+				if (security.privilegeCheckBits(rname) == null) report("privileges.checks." + rname, "The check is missing, and the default one names privileges that the registry lacks.");
+			}
+		}
+		['group_service', 'membership_service'].forEach(function (sname, s_ind, s_arr) {
+			if (security[sname] != null && (typeof(security[sname]) != 'string' || !hasService(security[sname]))) report(sname, "There is no service " + security[sname] + ".");
+		});
+		if (dramatic && problems.length > 0) {
+			var err = new Error("Invalid configuration: " + problems.map(function (problem) { return problem['path'] + ": " + problem['message']; }).join(" "));
+			err.problems = problems;
+			throw err;
+		}
+		return problems;
+	},
 	dateConvertToUTC: function(iv) {
 		// This converts a date with nominal values in the active time zone to one with nominal values in UTC.
 		return new Date(iv.getUTCFullYear(), iv.getUTCMonth(), iv.getUTCDate(), iv.getUTCHours(), iv.getUTCMinutes(), iv.getUTCSeconds(), iv.getUTCMilliseconds());
@@ -203,19 +483,20 @@ var security_template = {
 	tokenizeValidationRule: function(rule) {
 		// This breaks a validation rule in flat text format into an array of arrays for easier access.
 		// Each element of the return value contains an array containing the name of the subrule and, if present, the parameter.
+		// A parameter containing a pipe or a colon must be in single quotes, as in regex:'^(a|b)$'.
 		var getToken = function(text, offset) {
 			// This returns the index of the next character after the token or a negative number if there is an error.
 			var toffset = offset;
 			while (toffset < text.length && text[toffset] != '|' && text[toffset] != ':') {
-				if (text[offset] == '\'') {
+				if (text[toffset] == '\'') {
 					toffset++;
-					while (toffset < text.length && text[offset] != '\'') {
-						if (text[offset] == '\\' && toffset + 1 < text.length) {
+					while (toffset < text.length && text[toffset] != '\'') {
+						if (text[toffset] == '\\' && toffset + 1 < text.length) {
 							toffset++;
 						}
 						toffset++;
 					}
-					if (toffset < text.length && text[offset] == '\'') {
+					if (toffset < text.length && text[toffset] == '\'') {
 						// We found the closing quote.
 						toffset++;
 					} else if (toffset == text.length) {
@@ -229,17 +510,26 @@ var security_template = {
 			// console.log("Token: ", offset, toffset, ".");
 			return toffset;
 		};
+		var unquote = function(token) {
+			// A token wholly in single quotes loses them, and escaped quotes within it lose their backslashes.
+			// Other backslashes stay so that regular expressions keep their escapes.
+			if (token.length >= 2 && token[0] == '\'' && token[token.length - 1] == '\'') return token.slice(1, -1).replace(/\\'/g, '\'');
+			return token;
+		};
 		var getRule = function(text, offset) {
 			var rv = [];
 			var name_start = offset;
 			var name_end = getToken(text, name_start);
+			// An unclosed quote ends the rule.
+			if (name_end < 0) return [text.length, rv];
 			if (name_end > name_start) {
 				rv.push(text.slice(name_start, name_end));
 				if (name_end < text.length && text[name_end] == ':') {
 					var value_start = name_end + 1;
 					var value_end = getToken(text, value_start);
+					if (value_end < 0) return [text.length, rv];
 					if (value_end > value_start) {
-						rv.push(text.slice(value_start, value_end));
+						rv.push(unquote(text.slice(value_start, value_end)));
 					}
 					return [value_end, rv];
 				}
@@ -266,8 +556,71 @@ var security_template = {
 		};
 		return tokenize(rule);
 	},
+	registerValidationRule: function(name, definition) {
+		// This adds a rule (or replaces the rule of the same name) in validation_rules so that validation strings can name it.
+		// definition.check(value, parameter, context) returns whether the value passes, or, if definition.async is set, a promise for that.
+		// definition.parameter, if set, is a function that turns the text after the colon into the parameter for check and throws if the text is unacceptable.
+		// definition.form_attributes, if set, is a function (parameter, field) returning the attributes that generateFormCrude should give the input for the field, with the special attribute datalist listing suggested values.
+		// definition.json_schema, if set, is a function (parameter, field) returning the JSON Schema keywords that express the rule for jsonSchemaFromField, with the special keyword required (a boolean) marking the field as required in the enclosing object.
+		// definition.types, if set, lists the types (as from typeof, but with 'array' for arrays) to which the rule applies; other values pass it.
+		// A null value passes every rule except those with check_null set, such as required.
+		if (typeof(name) != 'string' || !(/^[A-Za-z0-9_]+$/).test(name)) throw new Error("Bad validation rule name.");
+		if (!(definition instanceof Object) || typeof(definition.check) != 'function') throw new Error("The validation rule " + name + " lacks a check function.");
+		if (definition.parameter != null && typeof(definition.parameter) != 'function') throw new Error("The parameter parser for validation rule " + name + " must be a function.");
+		if (definition.types != null && !(definition.types instanceof Array)) throw new Error("The types for validation rule " + name + " must be an array.");
+		if (!(this.validation_rules instanceof Object)) this.validation_rules = {};
+		this.validation_rules[name] = definition;
+		return 0;
+	},
+	parseValidationRule: function(rule) {
+		// This tokenizes the rule (as tokenizeValidationRule does) and looks each subrule up in validation_rules.
+		// It returns a list of {name, text, parameter, definition}, where text is the raw parameter text and parameter is as parsed by the definition.
+		// The definition is null for unknown subrules, which are ignored, and a subrule whose parameter does not parse gets an error property.
+		var security = this;
+		var rules = ((typeof(rule) == 'string') ? this.tokenizeValidationRule(rule) : []);
+		return rules.map(function (token, t_ind, t_arr) {
+			var entry = {'name': token[0], 'text': ((token.length >= 2) ? token[1] : null), 'parameter': null, 'definition': null};
+			if (security.validation_rules instanceof Object && Object.prototype.hasOwnProperty.call(security.validation_rules, entry.name)) {
+				entry.definition = security.validation_rules[entry.name];
+				if (typeof(entry.definition.parameter) == 'function') {
+					try {
+						entry.parameter = entry.definition.parameter(entry.text);
+					} catch (err) {
+						entry.error = err;
+					}
+				} else {
+					entry.parameter = entry.text;
+				}
+			}
+			return entry;
+		});
+	},
+	validateTextChecks: function(rule, data, context, include_async) {
+		// This runs each subrule of rule that applies to data and returns a list of {rule, parameter, result}.
+		// The result is truthy if the data pass, or, for asynchronous subrules, a promise for that; these are skipped unless include_async is set.
+		// A subrule with an unparseable parameter fails. validateConfiguration reports such parameters in the data schema.
+		var checks = [];
+		var vtype = validationValueType(data);
+		this.parseValidationRule(rule).forEach(function (entry, e_ind, e_arr) {
+			var def = entry.definition;
+			if (def == null) return;
+			if (def.async && !include_async) return;
+			if (data == null && !def.check_null) return;
+			if (data != null && def.types instanceof Array && def.types.indexOf(vtype) < 0) return;
+			var result;
+			if ('error' in entry) result = false;
+			else result = def.check(data, entry.parameter, ((context instanceof Object) ? context : {}));
+			checks.push({'rule': entry.name, 'parameter': (('error' in entry) ? entry.text : entry.parameter), 'result': result});
+		});
+		return checks;
+	},
 	validateText: function(rule, data) {
-		// This validates the text in data according to the rule.
+		// This validates the text in data according to the rule and returns 0 if it passes and -1 otherwise.
+		// See validateTextFailures.
+		return ((this.validateTextFailures(rule, data).length > 0) ? -1 : 0);
+	},
+	validateTextFailures: function(rule, data, context) {
+		// This validates data according to the rule and returns a list of the subrules that it fails, each {rule, parameter}.
 		// The rule is a string.
 		// The rule contains subrules.
 		// Each subrule has a name.
@@ -275,138 +628,75 @@ var security_template = {
 		// The pipe operator separates subrules.
 		// In spite of that, the logic is of the AND variety.
 		// The check passes if the data meet all subrules.
-		// The max option checks that the length of the data is under that specified by the parameter.
-		// The alpha_num option checks that all characters in data match /^[A-Za-z0-9]*$/.
-		// The alpha_dash option checks that all characters in data match /^[A-Za-z0-9_-]*$/.
-		// The alpha_slash option checks that all characters in data match /^[A-Za-z0-9\/\.:_-]*$/.
-		// The us_date option checks that all characters in data match /^[A-Za-z0-9_-]*$/.
-		// The required option checks that data is supplied. A blank string passes this check.
+		// The subrules are those in validation_rules (see registerValidationRule and validationRulesDefault).
+		// Asynchronous subrules are skipped here; validateTextAsync runs them.
+		// context is passed to the checks, which may use it to learn about the record being validated.
 		// Subrules are rules, perhaps, but it seemed important to make a distinction between the input rule string and the specific rules (thus subrules).
-		var rules = this.tokenizeValidationRule(rule);
-		// console.log("Rules:", rules, ".");
-		var rv = 0;
-		if (data == null) {
-			var rule_required = 0;
-			rules.forEach(function (currentValue, index, array) {
-				if (currentValue.length >= 1 && currentValue[0] == "required") {
-					rule_required = 1;
-				}
-			});
-			if (rule_required) return -1;
-			return 0;
-		}
-		if (typeof('data') == 'string') {
-			rules.forEach(function (currentValue, index, array) {
-				if (currentValue.length >= 2 && currentValue[0] == "max") {
-					// console.log("max", currentValue[1]);
-					if (data.length > currentValue[1]) {
-						rv = -1;
-						// console.log("Fail max rule.");
-					}
-				} else if (currentValue.length >= 2 && currentValue[0] == "min") {
-					// console.log("max", currentValue[1]);
-					if (data.length < currentValue[1]) {
-						rv = -1;
-						// console.log("Fail max rule.");
-					}
-				} else if (currentValue.length >= 1 && currentValue[0] == "alpha_num") {
-					var alpha_num_pattern = /^[A-Za-z0-9]*$/;
-					var alpha_num_matches = data.match(alpha_num_pattern);
-					if (alpha_num_matches == null || alpha_num_matches.length == 0) {
-						rv = -1;
-						// console.log("Fail alpha_num rule.");
-						// console.log("Matches: ", alpha_num_matches, ".");
-					}
-				} else if (currentValue.length >= 1 && currentValue[0] == "alpha_dash") {
-					var alpha_dash_pattern = /^[A-Za-z0-9_-]*$/;
-					var alpha_dash_matches = data.match(alpha_dash_pattern);
-					if (alpha_dash_matches == null || alpha_dash_matches.length == 0) {
-						rv = -1;
-						// console.log("Fail alpha_dash rule.");
-						// console.log("Matches: ", alpha_dash_matches, ".");
-					}
-				} else if (currentValue.length >= 1 && currentValue[0] == "alpha_dash_space") {
-					var alpha_dash_pattern = /^[A-Za-z0-9 _-]*$/;
-					var alpha_dash_matches = data.match(alpha_dash_pattern);
-					if (alpha_dash_matches == null || alpha_dash_matches.length == 0) {
-						rv = -1;
-						// console.log("Fail alpha_dash rule.");
-						// console.log("Matches: ", alpha_dash_matches, ".");
-					}
-				} else if (currentValue.length >= 1 && currentValue[0] == "alpha_slash") {
-					var alpha_slash_pattern = /^[A-Za-z0-9\/\.:_-]*$/;
-					var alpha_slash_matches = data.match(alpha_slash_pattern);
-					if (alpha_slash_matches == null || alpha_slash_matches.length == 0) {
-						rv = -1;
-						// console.log("Fail alpha_slash rule.");
-						// console.log("Matches: ", alpha_slash_matches, ".");
-					}
-				} else if (currentValue.length >= 1 && currentValue[0] == "alpha_slash_space") {
-					var alpha_slash_space_pattern = /^[A-Za-z0-9\/\.: _-]*$/;
-					var alpha_slash_space_matches = data.match(alpha_slash_space_pattern);
-					if (alpha_slash_space_matches == null || alpha_slash_space_matches.length == 0) {
-						rv = -1;
-						// console.log("Fail alpha_slash space_rule.");
-						// console.log("Matches: ", alpha_slash_space_matches, ".");
-					}
-				} else if (currentValue.length >= 1 && currentValue[0] == "us_date") {
-					var us_date_pattern = /^[0-9]{1,2}\/[0-9]{1,2}\/[0-9]+$/;
-					var us_date_matches = data.match(us_date_pattern);
-					if (us_date_matches == null || us_date_matches.length == 0) {
-						rv = -1;
-						// console.log("Fail us_date rule.");
-						// console.log("Matches: ", us_date_matches, ".");
-					}
-				} else if (currentValue.length >= 1 && currentValue[0] == "required") {
-					if (data == null || data == undefined) rv = -1;
-				}
-			});
-		} else if (typeof('data') == 'number') {
-			rules.forEach(function (currentValue, index, array) {
-				if (currentValue.length >= 2 && currentValue[0] == "max") {
-					// console.log("max", currentValue[1]);
-					if (data > currentValue[1]) {
-						rv = -1;
-						// console.log("Fail max rule.");
-					}
-				} else if (currentValue.length >= 2 && currentValue[0] == "min") {
-					// console.log("max", currentValue[1]);
-					if (data < currentValue[1]) {
-						rv = -1;
-						// console.log("Fail max rule.");
-					}
-				} else if (currentValue.length >= 2 && currentValue[0] == "step") {
-					if (data % currentValue[1] != 0){
-						rv = -1;
-						// console.log("Fail step rule.");
-					}
-				}
+		var failures = [];
+		this.validateTextChecks(rule, data, context, 0).forEach(function (check, c_ind, c_arr) {
+			if (!check.result) failures.push({'rule': check.rule, 'parameter': check.parameter});
+		});
+		return failures;
+	},
+	validateTextAsync: function(rule, data, context) {
+		// This is like validateTextFailures but runs asynchronous subrules as well and so returns a promise.
+		var checks = this.validateTextChecks(rule, data, context, 1);
+		return Promise.all(checks.map(function (check, c_ind, c_arr) { return check.result; })).then(function (results) {
+			var failures = [];
+			results.forEach(function (result, r_ind, r_arr) {
+				if (!result) failures.push({'rule': checks[r_ind].rule, 'parameter': checks[r_ind].parameter});
 			});
-		} else {
-			rv = -1;
-		}
-		return rv;
+			return failures;
+		}, function (err) { return Promise.reject(err); });
 	},
-	checkTypesNested: function(schema, data, exclusive, connections, target_user, dramatic, operation, original, overlay_only, overrides) {
+	checkTypesNested: function(schema, data, exclusive, connections, target_user, dramatic, operation, original, overlay_only, overrides, collector) {
 		// This is complementary to the validator.
 		// This function checks all fields in data and rejects if it contains any typed differently from the schema. If the exclusive flag is set, this function also rejects the input if it contains any field absent from the schema.
 		// dramatic indicates whether to fail loudly (instead of just returning -1).
 		// operation indicates the type of data operation for which the data is intended.
 		// original includes the original record.
 		// overlay_only indicates that only the overlay data are to be updated.
+		// collector, if supplied (as from validationCollector), makes this record every failure in collector.errors and carry on instead of stopping at the first.
+		// Its path holds the field names leading to schema from the original record, and the outermost call (the one with an empty path) resolves -1 or, if dramatic, rejects with validationError once all checks finish.
 		var extraChecks = [];
 		// TODO: switch to let.
 		var security = this;
+		// Validation rules such as unique use record_id to recognize the record being checked, so updates should supply an original (or at least a stub from recordIdStub).
+		var record_id = ((original instanceof Object && original[security.id_name] != null) ? original[security.id_name] :
+				((data instanceof Object && data[security.id_name] != null) ? data[security.id_name] : null));
+		// They also need the class of the record to tell whether record_id belongs to the service that they search.
+		// The hooks pass the schema from data_schema itself, so we find the class by identity; a submodel has none.
+		var record_class = null;
+		var sname;
+		if (security.data_schema instanceof Object) for (sname in security.data_schema) if (security.data_schema[sname] === schema) record_class = sname;
+		var failed = function (fkey, code, rule, parameter, message) {
+			// This returns the promise with which to stop, or null if the failure is collected instead.
+			if (collector) {
+				security.validationFailureRecord(collector, fkey, {'code': code, 'rule': rule, 'parameter': parameter, 'value': ((data instanceof Object && fkey in data) ? data[fkey] : null), 'message': message});
+				return null;
+			}
+			return (dramatic ? Promise.reject(new Error(message)) : Promise.resolve(-1));
+		};
+		var stop;
 		if (!('fields' in schema)) return Promise.reject("Called without fields.");
 		var sfields = schema.fields;
+		// A field with the confirmed rule takes its confirmation in a field of the same name with _confirmation appended.
+		// That field is there only for the rule, so it is not checked as undocumented (or against its schema entry, if any) and is dropped from the data once the checks finish so that it is never stored.
+		var confirmations = {};
+		var ckey;
+		for (ckey in sfields) {
+			if (sfields[ckey] instanceof Object && typeof(sfields[ckey]['validation']) == 'string' &&
+					security.tokenizeValidationRule(sfields[ckey]['validation']).some(function (token) { return token[0] == 'confirmed'; })) confirmations[ckey + '_confirmation'] = ckey;
+		}
 		// console.log("Type check.");
 		// console.log(data);
 		for (var pkey in data) {
+			if (pkey in confirmations) continue;
 			if (pkey in sfields) {
 				if (
 						(
 							('type' in sfields[pkey] &&
-								(typeof(data[pkey]) != sfields[pkey].type ||
+								((sfields[pkey].type == 'array' ? !(data[pkey] instanceof Array) : typeof(data[pkey]) != sfields[pkey].type) ||
 									('instanceof' in sfields[pkey] && !(data[pkey] instanceof sfields[pkey]['instanceof']))
 								)
 							) ||
@@ -422,25 +712,16 @@ var security_template = {
 						!('allow_null' in sfields[pkey] && sfields[pkey]['allow_null'] && data[pkey] == null)
 					) {
 					// Type mismatch.
-					if (dramatic) {
-						// console.log("Attempting to write a mismatched type for", pkey, ".");
-						// console.log("Have", typeof(data[pkey]), ", want", sfields[pkey].type, ".");
-						return Promise.reject(new Error("Attempting to write a mismatched type for " + pkey + "."));
-					} else {
-						// console.log("Attempting to write a mismatched type for", pkey, ".");
-						// console.log("Have", typeof(data[pkey]), ", want", sfields[pkey].type, ".");
-						return Promise.resolve(-1);
-					}
+					// console.log("Attempting to write a mismatched type for", pkey, ".");
+					// console.log("Have", typeof(data[pkey]), ", want", sfields[pkey].type, ".");
+					stop = failed(pkey, 'type_mismatch', 'type', (('type' in sfields[pkey]) ? sfields[pkey].type : 'object'), "Attempting to write a mismatched type for " + pkey + ".");
+					if (stop) return stop;
 				} else if (('is_user_writable' in sfields[pkey] && sfields[pkey].is_user_writable == 0) ||
 						('is_user_writable' in overrides && overrides.is_user_writable == 0)) {
 					// Unwritable field.
-					if (dramatic) {
-						// console.log("Attempting to write field", pkey, ", which is not writable.");
-						return Promise.reject(new Error("Attempting to write to unwritable field " + pkey + "."));
-					} else {
-						// console.log("Attempting to write to an unwritable field.");
-						return Promise.resolve(-1);
-					}
+					// console.log("Attempting to write field", pkey, ", which is not writable.");
+					stop = failed(pkey, 'unwritable', 'is_user_writable', 0, "Attempting to write to unwritable field " + pkey + ".");
+					if (stop) return stop;
 				} else if ((('administrator_only' in sfields[pkey] && sfields[pkey].administrator_only == 1) ||
 						('administrator_only' in overrides && overrides.administrator_only == 1)) &&
 						target_user != null &&
@@ -448,44 +729,79 @@ var security_template = {
 						(operation == 'update' && (original == null || !(pkey in original) || data[pkey] != original[pkey])) ||
 						(operation == 'create' && (!('default' in sfields[pkey]) || data[pkey] != sfields[pkey].default_value)))) {
 					// Unwritable field for non-administrators.
-					extraChecks.push(
-						security.userIsAdministrator(target_user).then(
-							function (is_administrator) {
-								if (!(is_administrator)) {
-									if (dramatic) {
-										return Promise.reject(new Error("Attempting to write to administrator-only field" + pkey + "."));
-									} else {
+					// The key is bound here since the loop moves on before the check resolves.
+					(function (akey) {
+						extraChecks.push(
+							security.userIsAdministrator(target_user).then(
+								function (is_administrator) {
+									if (!(is_administrator)) {
 										// console.log("Attempting to write to an unwritable field.");
-										return Promise.resolve(-1);
+										return (failed(akey, 'administrator_only', 'administrator_only', 1, "Attempting to write to administrator-only field " + akey + ".") || -1);
 									}
-								}
-							}, function (err) { return Promise.reject(err); }
-						)
-					);
+								}, function (err) { return Promise.reject(err); }
+							)
+						);
+					})(pkey);
 				} else if ((('immutable' in sfields[pkey] && sfields[pkey].immutable == 1) ||
 						('immutable' in overrides && overrides.immutable == 1)) &&
 						// target_user != null &&
 						((operation == 'patch' && original && pkey in original && original[pkey] != null) ||
 						(operation == 'update' && original && pkey in original && original[pkey] != null))) {
 					// Immutable field.
-					return Promise.reject(new Error("Attempting to change an immutable field " + pkey + "."));
+					// This fails loudly even if dramatic is not set.
+					if (!collector) return Promise.reject(new Error("Attempting to change an immutable field " + pkey + "."));
+					failed(pkey, 'immutable', 'immutable', 1, "Attempting to change an immutable field " + pkey + ".");
 				} else if (('computed' in sfields[pkey] && sfields[pkey].computed == 1) ||
 						('computed' in overrides && overrides.computed == 0)) {
 					// Unwritable field.
-					if (dramatic) {
-						return Promise.reject(new Error("Attempting to write to computed (virtual) field " + pkey + "."));
-					} else {
-						// console.log("Attempting to write to a computed (virtual) field.");
-						return Promise.resolve(-1);
-					}
+					// console.log("Attempting to write to a computed (virtual) field.");
+					stop = failed(pkey, 'computed', 'computed', 1, "Attempting to write to computed (virtual) field " + pkey + ".");
+					if (stop) return stop;
 				} else if (('label' in sfields[pkey] && sfields[pkey].label == 1) ||
 						('label' in overrides && overrides.label == 0)) {
 					// Unwritable field.
-					if (dramatic) {
-						return Promise.reject(new Error("Attempting to write to label field " + pkey + "."));
-					} else {
-						// console.log("Attempting to write to a computed (virtual) field.");
-						return Promise.resolve(-1);
+					// console.log("Attempting to write to a computed (virtual) field.");
+					stop = failed(pkey, 'label', 'label', 1, "Attempting to write to label field " + pkey + ".");
+					if (stop) return stop;
+				} else if (sfields[pkey].type == 'array' && data[pkey] != null) {
+					var afield = sfields[pkey];
+					var acount = data[pkey].length;
+					if (typeof(afield['min_items']) == 'number' && acount < afield['min_items']) {
+						stop = failed(pkey, 'min_items', 'min_items', afield['min_items'], "The array " + pkey + " has fewer than " + afield['min_items'] + " items.");
+						if (stop) return stop;
+					}
+					if (typeof(afield['max_items']) == 'number' && acount > afield['max_items']) {
+						stop = failed(pkey, 'max_items', 'max_items', afield['max_items'], "The array " + pkey + " has more than " + afield['max_items'] + " items.");
+						if (stop) return stop;
+					}
+					if (afield['unique_items']) {
+						var aseen = {};
+						var adup = 0;
+						data[pkey].forEach(function (el, el_ind, el_arr) {
+							var ekey = JSON.stringify(el);
+							if (ekey in aseen) adup = 1;
+							aseen[ekey] = 1;
+						});
+						if (adup) {
+							stop = failed(pkey, 'unique_items', 'unique_items', 1, "The array " + pkey + " has duplicate items.");
+							if (stop) return stop;
+						}
+					}
+					if (afield['items'] instanceof Object) {
+						// Each element is checked as a field described by items and named by its index, so references, submodels, and validation work as they do for other fields.
+						var ischema = {fields: {}};
+						var idata = {};
+						var ioriginal = null;
+						data[pkey].forEach(function (el, el_ind, el_arr) {
+							ischema.fields[el_ind] = afield['items'];
+							idata[el_ind] = el;
+						});
+						if (original != null && original[pkey] instanceof Array) {
+							ioriginal = {};
+							original[pkey].forEach(function (el, el_ind, el_arr) { ioriginal[el_ind] = el; });
+						}
+						extraChecks.push(security.checkTypesNested(ischema, idata, exclusive, connections, target_user, dramatic, operation, ioriginal, overlay_only, overrides,
+								(collector ? {'errors': collector.errors, 'path': collector.path.concat([pkey])} : null)));
 					}
 				} else if ('submodel' in sfields[pkey] || 'submodel_inline' in sfields[pkey]) {
 					var subschema = {};
@@ -495,16 +811,16 @@ var security_template = {
 						if (sfields[pkey].submodel in security.models) {
 							subschema = security.models[sfields[pkey].submodel];
 						} else {
-							if (dramatic) {
-								return Promise.reject(new Error("Bad model reference."));
-							} else {
-								console.log("Bad model reference.");
-								return Promise.resolve(-1);
-							}
+							if (!dramatic) console.log("Bad model reference.");
+							stop = failed(pkey, 'bad_model', 'submodel', sfields[pkey].submodel, "Bad model reference.");
+							if (stop) return stop;
+							subschema = null;
 						}
 					}
 					// Note that submodel and target_class are incompatible options for obvious reasons.
-					if ('fields' in subschema) {
+					if (subschema == null) {
+						// The bad reference is already collected.
+					} else if ('fields' in subschema) {
 						var nest_overrides = {};
 						var ttt;
 						// Copy the overrides.
@@ -526,15 +842,13 @@ var security_template = {
 							nest_overrides['overlay'] = sfields[pkey]['overlay'];
 						}
 						if (data[pkey] instanceof Object && data[pkey] != null) {
-							extraChecks.push(security.checkTypesNested(subschema, data[pkey], exclusive, connections, target_user, dramatic, operation, ((original != null && pkey in original) ? original[pkey] : null), overlay_only, overrides));
+							extraChecks.push(security.checkTypesNested(subschema, data[pkey], exclusive, connections, target_user, dramatic, operation, ((original != null && pkey in original) ? original[pkey] : null), overlay_only, overrides,
+									(collector ? {'errors': collector.errors, 'path': collector.path.concat([pkey])} : null)));
 						}
 					} else {
-						if (dramatic) {
-							return Promise.reject(new Error("The model lacks a field specification."));
-						} else {
-							console.log("The model lacks a field specification.");
-							return Promise.resolve(-1);
-						}
+						if (!dramatic) console.log("The model lacks a field specification.");
+						stop = failed(pkey, 'bad_model', (('submodel_inline' in sfields[pkey]) ? 'submodel_inline' : 'submodel'), null, "The model lacks a field specification.");
+						if (stop) return stop;
 					}
 				} else if ('target_class' in sfields[pkey]) {
 					// If we are checking authority or references, we chain another promise after the reference check.
@@ -554,17 +868,20 @@ var security_template = {
 							// console.log("Reference check result:", resfind['data'], resfind['data'].length, ".");
 							// console.log("Returning", {kname: pkk, result: ((resfind['data'].length > 0) ? 0 : -1)}, ".");
 							return (('data' in resfind && resfind['data'].length > 0) ? 0 :
-									(dramatic ? Promise.reject(new Error("Missing reference target.")) : -1));
+									(failed(pkk, 'missing_reference', 'target_class', sfields[pkk]['target_class'], "Missing reference target.") || -1));
 						}, function(err) { if (dramatic) { return Promise.reject(err); } else { return -1; }}).then(function (fresult) {
 							if (fresult == 0) {
 								var mchecks = [];
 								if (check_authority) {
 									// console.log("Checking authority for user", target_user, "on", sfields[pkk]['target_class'], data[pkk], "according to field", pkk, ".");
+									// target_authority may name privilege bits or roles.
+									var required_authority = security.privilegeBits(sfields[pkk]['target_authority']);
+									if (required_authority == null) return (dramatic ? Promise.reject(new Error("Unknown privilege in target_authority for " + pkk + ".")) : -1);
 									mchecks.push(security.accessLevelSlowWithUser(target_user, sfields[pkk]['target_class'], data[pkk]).then(function (privlev) {
-										// console.log("Authority:", (((privlev & sfields[pkk]['target_authority']) >= sfields[pkk]['target_authority']) ? 0 : -1));
-										if (!((privlev & sfields[pkk]['target_authority']) >= sfields[pkk]['target_authority'])) {
+										// console.log("Authority:", (((privlev & required_authority) == required_authority) ? 0 : -1));
+										if ((privlev & required_authority) != required_authority) {
 											// If the authority is insufficient, check whether the user is an administrator.
-											return (dramatic ? Promise.reject(new Error("Insufficient authority on target record.")) : -1);
+											return (failed(pkk, 'insufficient_authority', 'target_authority', sfields[pkk]['target_authority'], "Insufficient authority on target record.") || -1);
 										}
 										return 0;
 									}, function(err) { if (dramatic) { return Promise.reject(err); } else { return -1; } }));
@@ -572,7 +889,7 @@ var security_template = {
 								if (check_recursion) {
 									mchecks.push(security.checkRecursiveDocumentDepth(sfields[pkk]['target_class'], data[pkk], pkk, {}, null).then(function (reclev) {
 										// console.log("Depth:", ((reclev >= 0 && reclev < 0xFFFF) ? 0 : -1));
-										return ((reclev >= 0 && reclev < 0xFFFF) ? 0 : (dramatic ? Promise.reject(new Error("References too deep.")) : -1));
+										return ((reclev >= 0 && reclev < 0xFFFF) ? 0 : (failed(pkk, 'references_too_deep', 'recursive_reference_check', sfields[pkk]['recursive_reference_check'], "References too deep.") || -1));
 									}, function(err) { if (dramatic) { return Promise.reject(err); } else { return -1; } }));
 								}
 								return Promise.all(mchecks).then(function (checkresults) {
@@ -591,12 +908,9 @@ var security_template = {
 			} else {
 				if (exclusive) {
 					// Undocumented field.
-					if (dramatic) {
-						return Promise.reject(new Error("Attempting to write to undocumented field."));
-					} else {
-						// console.log("Attempting to write to an undocumented field.");
-						return Promise.resolve(-1);
-					}
+					// console.log("Attempting to write to an undocumented field.");
+					stop = failed(pkey, 'undocumented', null, null, "Attempting to write to undocumented field.");
+					if (stop) return stop;
 				}
 			}
 		}
@@ -609,45 +923,83 @@ var security_template = {
 						('allow_null' in sfields[skey] && sfields[skey]['allow_null'])) &&
 						skey in data && data[skey] == null) {
 					// console.log("Null value allowed.");
-				} else if (security.validateText(sfields[skey]['validation'], ((skey in data) ? data[skey] : null)) < 0) {
-					// console.log("Validation failed on", skey, "on rule", sfields[skey]['validation'], ".");
-					if (dramatic) return Promise.reject(new Error("Validation failed on " + skey + " on rule " + sfields[skey]['validation'] + "."));
-					return Promise.resolve(-1);
+				} else {
+					// The checks may be asynchronous, so the key is bound here.
+					(function (vkey) {
+						var vcontext = {'security': security, 'field': vkey, 'record': data, 'original': original, 'record_id': record_id, 'class': record_class, 'operation': operation, 'target_user': target_user, 'path': (collector ? collector.path.concat([vkey]) : [vkey])};
+						extraChecks.push(security.validateTextAsync(sfields[vkey]['validation'], ((vkey in data) ? data[vkey] : null), vcontext).then(function (vfailures) {
+							if (vfailures.length == 0) return 0;
+							// console.log("Validation failed on", vkey, "on rule", sfields[vkey]['validation'], ".");
+							if (!collector) return failed(vkey, 'validation', null, null, "Validation failed on " + vkey + " on rule " + sfields[vkey]['validation'] + ".");
+							vfailures.forEach(function (vf, vf_ind, vf_arr) {
+								failed(vkey, (vf.rule == 'required' ? 'required' : 'validation'), vf.rule, vf.parameter, "Validation failed on " + vkey + " on rule " + vf.rule + ".");
+							});
+							return -1;
+						}, function (err) { return Promise.reject(err); }));
+					})(skey);
 				}
 			}
 		}
 		// Unite all of the outstanding promises and return the AND composite.
 		return Promise.all(extraChecks).then(function (checkresults) {
 			// console.log(checkresults);
+			if (data instanceof Object) for (ckey in confirmations) if (ckey in data) delete data[ckey];
 			var rv = 0;
 			checkresults.forEach(function (currentValue, index, array) { if (currentValue < 0) rv = -1; });
+			if (collector && collector.path.length == 0 && Object.keys(collector.errors).length > 0) {
+				if (dramatic) return Promise.reject(security.validationError(collector.errors));
+				rv = -1;
+			}
 			// console.log("Returning a complete promise.");
 			return Promise.resolve(rv);
 		}, function (err) { return Promise.reject(err); });
 	},
+	recordIdStub: function(id) {
+		// This returns a stand-in for the original record that carries only its id, for checkTypesUpdate and the like when the original is not at hand.
+		var stub = {};
+		stub[this.id_name] = id;
+		return stub;
+	},
+	validationCollector: function() {
+		// This returns a fresh collector for checkTypesNested if structured_validation_errors is set and null otherwise.
+		return (this.structured_validation_errors ? {'errors': {}, 'path': []} : null);
+	},
+	validationFailureRecord: function(collector, field_name, failure) {
+		// This adds a failure ({code, rule, parameter, value, message}) on field_name to the collector.
+		// The errors are keyed by the field path joined with underscores, which is the name that generateFormCrude gives the corresponding input.
+		var fpath = collector.path.concat([field_name]);
+		var fkey = fpath.join("_");
+		if (!(fkey in collector.errors)) collector.errors[fkey] = [];
+		collector.errors[fkey].push({'path': fpath, 'code': failure.code, 'rule': failure.rule, 'parameter': failure.parameter, 'value': failure.value, 'message': failure.message});
+	},
+	validationError: function(failures) {
+		// This wraps collected failures in a BadRequest whose errors property holds them.
+		var fcount = Object.keys(failures).length;
+		return new errors.BadRequest("Validation failed on " + fcount + ((fcount == 1) ? " field." : " fields."), {'errors': failures});
+	},
 	checkTypes: function(schema, data, exclusive, connections, target_user, dramatic) {
-		return this.checkTypesNested(schema, data, exclusive, connections, target_user, dramatic, '', null, 0, {});
+		return this.checkTypesNested(schema, data, exclusive, connections, target_user, dramatic, '', null, 0, {}, this.validationCollector());
 	},
 	checkTypesCreate: function(schema, data, exclusive, connections, target_user, dramatic, base_record) {
 		// This allows setting administrator-only values to their defaults.
 		// It ignores base_record.
-		return this.checkTypesNested(schema, data, exclusive, connections, target_user, dramatic, 'create', null, 0, {});
+		return this.checkTypesNested(schema, data, exclusive, connections, target_user, dramatic, 'create', null, 0, {}, this.validationCollector());
 	},
 	checkTypesUpdate: function(schema, data, exclusive, connections, target_user, dramatic, base_record) {
 		// This accepts a base record and blocks changes to administrator-only values.
-		return this.checkTypesNested(schema, data, exclusive, connections, target_user, dramatic, 'update', base_record, 0, {});
+		return this.checkTypesNested(schema, data, exclusive, connections, target_user, dramatic, 'update', base_record, 0, {}, this.validationCollector());
 	},
 	checkTypesPatch: function(schema, data, exclusive, connections, target_user, dramatic, base_record) {
 		// This accepts a base record and blocks patch entries for administrator-only values.
-		return this.checkTypesNested(schema, data, exclusive, connections, target_user, dramatic, 'patch', base_record, 0, {});
+		return this.checkTypesNested(schema, data, exclusive, connections, target_user, dramatic, 'patch', base_record, 0, {}, this.validationCollector());
 	},
 	checkTypesUpdateOverlay: function(schema, data, exclusive, connections, target_user, dramatic, base_record) {
 		// This accepts a base record and blocks changes to administrator-only values.
-		return this.checkTypesNested(schema, data, exclusive, connections, target_user, dramatic, 'update', base_record, 1, {});
+		return this.checkTypesNested(schema, data, exclusive, connections, target_user, dramatic, 'update', base_record, 1, {}, this.validationCollector());
 	},
 	checkTypesPatchOverlay: function(schema, data, exclusive, connections, target_user, dramatic, base_record) {
 		// This accepts a base record and blocks patch entries for administrator-only values.
-		return this.checkTypesNested(schema, data, exclusive, connections, target_user, dramatic, 'patch', base_record, 1, {});
+		return this.checkTypesNested(schema, data, exclusive, connections, target_user, dramatic, 'patch', base_record, 1, {}, this.validationCollector());
 	},
 	coerceNumericToIntegerPatch: function(schema, data) {
 		// This converts any text values that ought to be numbers into numbers.
@@ -757,8 +1109,9 @@ var security_template = {
 		return output;
 	},
 	flattenHierarchy: function(dest, prefix, delimiter, current) {
+		// Arrays stay whole, since the number of elements is not known from the schema.
 		if (current == null) {
-		} else if (current instanceof Object) {
+		} else if (current instanceof Object && !(current instanceof Array && prefix)) {
 			var tc;
 			for (tc in current) {
 				this.flattenHierarchy(dest, (prefix ? prefix + delimiter + tc : tc), delimiter, current[tc]);
@@ -794,12 +1147,13 @@ var security_template = {
 		// This generates flat names for nested entities and maps them to nested entity paths.
 		// Like {'address_street_address': ['address', 'street_address']}.
 		// This takes just the field map for schema, not the full schema structure.
+		// An array field maps to itself as a whole, even if its items are submodels.
 		var security = this;
 		var output = {};
 		var si;
 		if ('fields' in schema) {
 			for (si in schema.fields) {
-				if ('submodel' in schema.fields[si] || 'submodel_inline' in schema.fields[si]) {
+				if (schema.fields[si].type != 'array' && ('submodel' in schema.fields[si] || 'submodel_inline' in schema.fields[si])) {
 					var tschema = {};
 					if ('submodel_inline' in schema.fields[si] && 'fields' in schema.fields[si].submodel_inline) {
 						tschema = security.splitSubmodel(schema.fields[si]['submodel_inline'], delimiter);
@@ -863,6 +1217,9 @@ var security_template = {
 					}
 				} else if (pname == 'submodel_inline') {
 					output.fields[fname]['submodel_inline'] = security.inlineSchema(schema.fields[fname].submodel_inline);
+				} else if (pname == 'items' && schema.fields[fname].items instanceof Object) {
+					// The items of an array field are inlined as a field would be.
+					output.fields[fname]['items'] = security.inlineSchema({fields: {items: schema.fields[fname].items}}).fields.items;
 				} else {
 					output.fields[fname][pname] = schema.fields[fname][pname];
 				}
@@ -870,6 +1227,236 @@ var security_template = {
 		}
 		return output;
 	},
+	jsonSchemaFromField: function(field) {
+		// This converts a field specification to a JSON Schema (draft 2020-12) subschema and returns {schema, required}, where required says whether the enclosing object requires the field.
+		// Submodels become nested object schemas, and validation rules become keywords through the json_schema functions in validation_rules.
+		// Fields that users cannot write (by is_user_writable or computed) are readOnly, and target_class becomes the annotation x-target-class.
+		var security = this;
+		var js = {};
+		var required = false;
+		var ftype = field['type'];
+		if (ftype == 'array') {
+			js['type'] = 'array';
+			if (field['items'] instanceof Object) js['items'] = security.jsonSchemaFromField(field['items']).schema;
+			if (typeof(field['min_items']) == 'number') js['minItems'] = field['min_items'];
+			if (typeof(field['max_items']) == 'number') js['maxItems'] = field['max_items'];
+			if (field['unique_items']) js['uniqueItems'] = true;
+		} else if (field['submodel_inline'] instanceof Object || (typeof(field['submodel']) == 'string' && field['submodel'] in security.models)) {
+			js = security.jsonSchemaFromSchema((field['submodel_inline'] instanceof Object) ? field['submodel_inline'] : security.models[field['submodel']]);
+		} else if (ftype == 'object' && (field['instanceof'] === Date || field['stype'] == 'date')) {
+			js['type'] = 'string';
+			js['format'] = 'date-time';
+		} else if (['string', 'number', 'boolean', 'object'].indexOf(ftype) >= 0) {
+			js['type'] = ftype;
+		}
+		if (typeof(field['validation']) == 'string') {
+			security.parseValidationRule(field['validation']).forEach(function (entry, e_ind, e_arr) {
+				if (entry.definition == null || 'error' in entry || typeof(entry.definition.json_schema) != 'function') return;
+				var keywords = entry.definition.json_schema(entry.parameter, field);
+				var kname;
+				for (kname in keywords) {
+					if (kname == 'required') required = (required || keywords[kname] ? true : false);
+					else js[kname] = keywords[kname];
+				}
+			});
+		}
+		if (((field['allownull']) || (field['allow_null'])) && typeof(js['type']) == 'string') js['type'] = [js['type'], 'null'];
+		if (('is_user_writable' in field && !field['is_user_writable']) || field['computed']) js['readOnly'] = true;
+		if (typeof(field['target_class']) == 'string') js['x-target-class'] = field['target_class'];
+		if (typeof(field['human_name']) == 'string' && field['human_name']) js['title'] = field['human_name'];
+		if (typeof(field['special_explanation']) == 'string' && field['special_explanation']) js['description'] = field['special_explanation'];
+		return {'schema': js, 'required': required};
+	},
+	jsonSchemaFromSchema: function(schema) {
+		// This converts a schema (as in data_schema or models) to a JSON Schema (draft 2020-12) object subschema.
+		// Labels, which hold no data, are left out, and other fields are not allowed.
+		var security = this;
+		var ischema = this.inlineSchema(schema);
+		var js = {'type': 'object', 'properties': {}, 'additionalProperties': false};
+		var required = [];
+		var fname;
+		for (fname in ischema.fields) {
+			if (ischema.fields[fname]['label']) continue;
+			var conv = security.jsonSchemaFromField(ischema.fields[fname]);
+			js.properties[fname] = conv.schema;
+			if (conv.required) required.push(fname);
+		}
+		if (required.length > 0) js['required'] = required;
+		return js;
+	},
+	jsonSchemaExport: function(target_class) {
+		// This returns a complete JSON Schema (draft 2020-12) document for a class in data_schema.
+		if (!(this.data_schema instanceof Object) || !(target_class in this.data_schema)) throw new Error("Unknown class " + target_class + ".");
+		var js = {'$schema': 'https://json-schema.org/draft/2020-12/schema', 'title': target_class};
+		var body = this.jsonSchemaFromSchema(this.data_schema[target_class]);
+		var kname;
+		for (kname in body) js[kname] = body[kname];
+		return js;
+	},
+	jsonSchemaImport: function(js, dramatic) {
+		// This converts a JSON Schema for an object to a schema in the form of data_schema and returns {schema, models, problems}.
+		// Nested objects become submodel_inline entries, and objects referenced from $defs (or definitions) by $ref become models, named as in $defs, that the fields name as their submodel.
+		// Constraints become validation rules, as maxLength to max and enum to in, and the required list becomes required rules.
+		// problems lists, as {path, message} with JSON pointers for paths, the keywords that this cannot express, which it leaves out.
+		// If dramatic is set, this instead throws an error listing the problems (also attached as its problems property) if there are any.
+		var security = this;
+		var problems = [];
+		var models = {};
+		var report = function (path, message) { problems.push({'path': path, 'message': message}); };
+		var defs = ((js instanceof Object && js['$defs'] instanceof Object) ? js['$defs'] : ((js instanceof Object && js['definitions'] instanceof Object) ? js['definitions'] : {}));
+		var defs_name = ((js instanceof Object && js['$defs'] instanceof Object) ? '$defs' : 'definitions');
+		// These keywords carry nothing that needs enforcing.
+		var ignored = ['$schema', '$id', '$comment', '$defs', 'definitions', 'examples'];
+		var ruleText = function (name, parameter) {
+			// Parameters containing pipes, colons, or quotes go in quotes, as tokenizeValidationRule expects.
+			if (parameter == null) return name;
+			var ptext = parameter.toString();
+			if ((/[|:']/).test(ptext)) ptext = "'" + ptext.replace(/'/g, "\\'") + "'";
+			return name + ":" + ptext;
+		};
+		var isObjectSchema = function (sub) { return (sub instanceof Object && (sub['type'] == 'object' || sub['properties'] instanceof Object)); };
+		var convertObject;
+		var convertField = function (sub, path) {
+			// This returns the field specification for a property schema.
+			var field = {};
+			var rules = [];
+			if (!(sub instanceof Object)) { report(path, "The property schema must be an object."); return field; }
+			if (typeof(sub['$ref']) == 'string') {
+				var rm = (/^#\/(\$defs|definitions)\/([A-Za-z0-9_]+)$/).exec(sub['$ref']);
+				if (rm == null || !(rm[2] in defs)) {
+					report(path + "/$ref", "Only references to $defs within the document are supported.");
+				} else if (isObjectSchema(defs[rm[2]])) {
+					if (!(rm[2] in models)) {
+						// The placeholder stops a model that refers to itself from recursing forever.
+						models[rm[2]] = {fields: {}};
+						models[rm[2]] = convertModel(defs[rm[2]], "#/" + defs_name + "/" + rm[2]);
+					}
+					field['submodel'] = rm[2];
+				} else {
+					field = convertField(defs[rm[2]], "#/" + defs_name + "/" + rm[2]);
+				}
+			}
+			var types = ((sub['type'] instanceof Array) ? sub['type'] : (('type' in sub) ? [sub['type']] : []));
+			var nonnull = types.filter(function (tname, t_ind, t_arr) { return tname != 'null'; });
+			if (nonnull.length < types.length) field['allow_null'] = 1;
+			if (nonnull.length > 1) report(path + "/type", "A property can have only one type besides null.");
+			var ftype = ((nonnull.length > 0) ? nonnull[0] : null);
+			var kname;
+			for (kname in sub) {
+				var kv = sub[kname];
+				var kpath = path + "/" + kname;
+				if (kname == 'type' || kname == '$ref' || kname == 'required' || ignored.indexOf(kname) >= 0) {
+				} else if (kname == 'title') {
+					field['human_name'] = kv;
+				} else if (kname == 'description') {
+					field['special_explanation'] = kv;
+				} else if (kname == 'default') {
+					field['default'] = kv;
+				} else if (kname == 'readOnly') {
+					if (kv) field['is_user_writable'] = 0;
+				} else if (kname == 'x-target-class') {
+					field['target_class'] = kv;
+				} else if (kname == 'properties' || kname == 'additionalProperties') {
+					// convertObject takes care of these.
+				} else if (kname == 'items') {
+					if (kv instanceof Object && !(kv instanceof Array)) field['items'] = convertField(kv, kpath);
+					else report(kpath, "Only a single schema for all items is supported.");
+				} else if (kname == 'minItems' || kname == 'maxItems') {
+					field[(kname == 'minItems') ? 'min_items' : 'max_items'] = kv;
+				} else if (kname == 'uniqueItems') {
+					if (kv) field['unique_items'] = 1;
+				} else if (kname == 'minLength' || kname == 'minimum') {
+					rules.push(ruleText('min', kv));
+				} else if (kname == 'maxLength' || kname == 'maximum') {
+					rules.push(ruleText('max', kv));
+				} else if (kname == 'multipleOf') {
+					rules.push(ruleText('step', kv));
+				} else if (kname == 'pattern') {
+					rules.push(ruleText('regex', kv));
+				} else if (kname == 'format' && {'email': 1, 'uri': 1, 'url': 1, 'uuid': 1, 'date': 1}[kv]) {
+					rules.push({'email': 'email', 'uri': 'url', 'url': 'url', 'uuid': 'uuid', 'date': 'iso_date'}[kv]);
+				} else if (kname == 'format' && kv == 'date-time') {
+					// The exporter writes Date fields this way.
+					ftype = 'date';
+				} else if ((kname == 'enum' || kname == 'const') && (kname == 'const' || kv instanceof Array)) {
+					var options = ((kname == 'const') ? [kv] : kv).filter(function (ov, o_ind, o_arr) { return ov !== null; });
+					if (options.length < ((kname == 'const') ? 1 : kv.length)) field['allow_null'] = 1;
+					if (options.every(function (ov, o_ind, o_arr) { return ((typeof(ov) == 'string' || typeof(ov) == 'number') && ov.toString().indexOf(',') < 0); })) rules.push(ruleText('in', options.join(',')));
+					else report(kpath, "Only strings and numbers without commas can be listed.");
+				} else if (kname == 'not' && kv instanceof Object && Object.keys(kv).length == 1 && kv['enum'] instanceof Array &&
+						kv['enum'].every(function (ov, o_ind, o_arr) { return ((typeof(ov) == 'string' || typeof(ov) == 'number') && ov.toString().indexOf(',') < 0); })) {
+					rules.push(ruleText('not_in', kv['enum'].join(',')));
+				} else {
+					report(kpath, "The keyword " + kname + " is not supported.");
+				}
+			}
+			if (ftype == 'integer') {
+				field['type'] = 'number';
+				rules.unshift('integer');
+			} else if (ftype == 'date') {
+				field['type'] = 'object';
+				field['instanceof'] = Date;
+			} else if (ftype == 'object' || (ftype == null && sub['properties'] instanceof Object)) {
+				if (sub['properties'] instanceof Object) field['submodel_inline'] = convertObject(sub, path);
+				else if (!('submodel' in field)) field['type'] = 'object';
+			} else if (ftype == 'string' || ftype == 'number' || ftype == 'boolean' || ftype == 'array') {
+				field['type'] = ftype;
+			} else if (ftype != null) {
+				report(path + "/type", "The type " + ftype + " is not supported.");
+			}
+			// A field from a $ref keeps the rules of the definition along with those added here.
+			if (rules.length > 0) field['validation'] = (('validation' in field && field['validation']) ? field['validation'] + '|' : '') + rules.join('|');
+			return field;
+		};
+		convertObject = function (sub, path) {
+			// This returns the schema ({fields}) for an object schema.
+			var schema = {fields: {}};
+			if (!isObjectSchema(sub)) { report(path, "The schema must describe an object."); return schema; }
+			if ('additionalProperties' in sub && sub['additionalProperties'] !== false) report(path + "/additionalProperties", "Only additionalProperties: false is supported, since checkTypes can reject undocumented fields.");
+			var required = ((sub['required'] instanceof Array) ? sub['required'] : []);
+			var pname;
+			for (pname in sub['properties']) {
+				schema.fields[pname] = convertField(sub['properties'][pname], path + "/properties/" + pname);
+				if (required.indexOf(pname) >= 0) schema.fields[pname]['validation'] = (('validation' in schema.fields[pname]) ? 'required|' + schema.fields[pname]['validation'] : 'required');
+			}
+			required.forEach(function (rname, r_ind, r_arr) {
+				if (!(sub['properties'] instanceof Object) || !(rname in sub['properties'])) report(path + "/required", "The required field " + rname + " has no schema.");
+			});
+			return schema;
+		};
+		var convertModel = function (sub, path) {
+			// This returns the schema for a whole record (the document itself or an object model in $defs).
+			// The keywords go through convertField so that those not supported are reported as they are for properties.
+			if (!isObjectSchema(sub)) { report(path, "The schema must describe an object."); return {fields: {}}; }
+			var field = convertField(sub, path);
+			var fname;
+			for (fname in field) {
+				if (['submodel_inline', 'human_name', 'special_explanation'].indexOf(fname) < 0 && !(fname == 'type' && field[fname] == 'object'))
+					report(path, "The keywords that set " + fname + " do not apply to a whole record.");
+			}
+			return ((field['submodel_inline'] instanceof Object) ? field['submodel_inline'] : {fields: {}});
+		};
+		var schema = convertModel(js, "#");
+		if (dramatic && problems.length > 0) {
+			var err = new Error("Unsupported JSON Schema: " + problems.map(function (pv, p_ind, p_arr) { return pv.path + ": " + pv.message; }).join(" "));
+			err.problems = problems;
+			throw err;
+		}
+		return {'schema': schema, 'models': models, 'problems': problems};
+	},
+	openApiComponents: function() {
+		// This returns {components: {schemas}} with a schema for each class in data_schema, ready to merge into an OpenAPI 3.1 document (whose schemas follow JSON Schema draft 2020-12).
+		var schemas = {};
+		var cname;
+		for (cname in this.data_schema) {
+			var js = {'title': cname};
+			var body = this.jsonSchemaFromSchema(this.data_schema[cname]);
+			var kname;
+			for (kname in body) js[kname] = body[kname];
+			schemas[cname] = js;
+		}
+		return {'components': {'schemas': schemas}};
+	},
 	defaultValueDataFromSchema: function(schema, optionals) {
 		// This generates a record containing default or space-filler values.
 		// If there are no relations and no strings that must be longer than zero characters,
@@ -878,10 +1465,23 @@ var security_template = {
 		var output = {};
 		var si;
 		for (si in schema.fields) {
-			if ('submodel' in schema.fields[si]) {
+			if (schema.fields[si].type == 'array') {
+				// An array gets min_items elements, each generated as a field described by items would be.
+				var icount = ((typeof(schema.fields[si].min_items) == 'number') ? schema.fields[si].min_items : 0);
+				if ((icount > 0 || optionals) &&
+						(!('is_user_writable' in schema.fields[si] && !(schema.fields[si].is_user_writable))) &&
+						(!('computed' in schema.fields[si] && schema.fields[si].computed))) {
+					output[si] = [];
+					while (output[si].length < icount && schema.fields[si].items instanceof Object) {
+						var item = security.defaultValueDataFromSchema({fields: {item: schema.fields[si].items}}, 1);
+						if (!('item' in item)) break;
+						output[si].push(item.item);
+					}
+				}
+			} else if ('submodel' in schema.fields[si]) {
 					output[si] = security.defaultValueDataFromSchema(security.models[schema.fields[si].submodel], optionals);
 			} else if ('submodel_inline' in schema.fields[si]) {
-					output[si] = security.defaultValueDataFromSchema(schema[si].submodel_inline, 1);
+					output[si] = security.defaultValueDataFromSchema(schema.fields[si].submodel_inline, 1);
 			} else if ('type' in schema.fields[si] &&
 					(!('is_primary_key' in schema.fields[si] && schema.fields[si].is_primary_key)) &&
 					(!('target_class' in schema.fields[si] && schema.fields[si].target_class.length > 0)) &&
@@ -1053,27 +1653,19 @@ var security_template = {
 				if (!('label' in fe && fe['label'])) {
 					if ('type' in fe && fe['type']) {
 						// Parse the validation rules, if present.
-						var tmin = null;
-						var tmax = null;
-						var treq = null;
-						var tstep = null;
+						// Each rule in validation_rules with a form_attributes function supplies attributes for the input, and a datalist entry lists suggested values.
+						var tattrs = {};
+						var tlist = null;
 						var twrite = null;
 						var tcomputed = null;
 						if ('validation' in fe) {
-							var rules = security.tokenizeValidationRule(fe['validation']);
-							rules.forEach(function(rval, r_ind, r_arr) {
-								if (rval.length > 1) {
-									if (rval[0] == 'min') {
-										tmin = rval[1];
-									} else if (rval[0] == 'max') {
-										tmax = rval[1];
-									} else if (rval[0] == 'step') {
-										tstep = rval[1];
-									}
-								} else if (rval.length > 0) {
-									if (rval[0] == 'required') {
-										treq = 1;
-									}
+							security.parseValidationRule(fe['validation']).forEach(function(entry, r_ind, r_arr) {
+								if (entry.definition == null || 'error' in entry || typeof(entry.definition.form_attributes) != 'function') return;
+								var fattrs = entry.definition.form_attributes(entry.parameter, fe);
+								var aname;
+								for (aname in fattrs) {
+									if (aname == 'datalist') tlist = fattrs[aname];
+									else tattrs[aname] = fattrs[aname];
 								}
 							});
 						}
@@ -1102,28 +1694,33 @@ var security_template = {
 						} else if (fe['type'] == 'number') {
 							tf = document.createElement("input");
 							tf.setAttribute("type", "number");
-							if (tmin != null)
-								tf.setAttribute("min", tmin.toString());
-							if (tmax != null)
-								tf.setAttribute("max", tmax.toString());
-							if (tstep != null)
-								tf.setAttribute("step", tstep.toString());
 						} else if (fe['type'] == 'string') {
 							tf = document.createElement("input");
-							tf.setAttribute("type", "number");
-							if (tmin != null)
-								tf.setAttribute("min", tmin.toString());
-							if (tmax != null)
-								tf.setAttribute("max", tmax.toString());
+							// Rules such as email may choose a more specific input type.
+							tf.setAttribute("type", (('type' in tattrs) ? tattrs['type'] : "text"));
 						}
 						if (tf != null) {
-							if (treq) tf.setAttribute("required", 1);
+							var tattr;
+							for (tattr in tattrs) {
+								if (tattr != 'type') tf.setAttribute(tattr, tattrs[tattr].toString());
+							}
 							tf.setAttribute("name", fname);
 							if ((twrite != null && !twrite) ||
 									(tcomputed != null && tcomputed)) {
 								tf.setAttribute("readonly", "1");
 							}
+							if (tlist instanceof Array) tf.setAttribute("list", fname + "_options");
 							tl.appendChild(tf);
+							if (tlist instanceof Array) {
+								var tdl = document.createElement("datalist");
+								tdl.setAttribute("id", fname + "_options");
+								tlist.forEach(function (tov, to_ind, to_arr) {
+									var to = document.createElement("option");
+									to.setAttribute("value", tov.toString());
+									tdl.appendChild(to);
+								});
+								tl.appendChild(tdl);
+							}
 							if (breaks) {
 								var tb = document.createElement("br");
 								tl.appendChild(tb);
@@ -1184,12 +1781,19 @@ var security_template = {
 			if (!('label' in tf && tf['label']) && !('computed' in tf && tf['computed']) &&
 					!('is_user_writable' in tf && !tf['is_user_writable'])) {
 				if (fname in data) {
-					if ('submodel' in tf && tf['submodel'] != null) {
+					if (tf['type'] == 'array' && tf['items'] instanceof Object && data[fname] instanceof Array) {
+						// Each element is filtered as a field described by items would be.
+						tdata[fname] = [];
+						data[fname].forEach(function (el, el_ind, el_arr) {
+							var item = security.filterFormData({fields: {item: tf['items']}}, {item: el});
+							if ('item' in item) tdata[fname].push(item.item);
+						});
+					} else if ('submodel' in tf && tf['submodel'] != null) {
 						if (tf['submodel'] in security.models) {
 							tdata[fname] = security.filterFormData(security.models[tf['submodel']], data[fname]);
 						}
 					} else if ('submodel_inline' in tf && tf['submodel_inline'] != null) {
-						tdata[fname] = security.filterFormData(security.models[tf['submodel']], data[fname]);
+						tdata[fname] = security.filterFormData(tf['submodel_inline'], data[fname]);
 					} else {
 						tdata[fname] = data[fname];
 					}
@@ -1291,7 +1895,13 @@ var security_template = {
 		for (fname in schema.fields) {
 			var field = schema.fields[fname];
 			if (fname in data) {
-				if (data[fname] != null) {
+				if (data[fname] != null && field['type'] == 'array') {
+					// A lone value becomes a one-element array, and each element is coerced as a field described by items would be.
+					var aitems = ((data[fname] instanceof Array) ? data[fname] : [data[fname]]);
+					output[fname] = aitems.map(function (el, el_ind, el_arr) {
+						return ((field['items'] instanceof Object) ? security.coerceValues({fields: {item: field['items']}}, {item: el}).item : el);
+					});
+				} else if (data[fname] != null) {
 					if ('type' in field && (typeof(data[fname]) != field['type'] ||
 							('instanceof' in field && field['instanceof'] != null && !(data[fname] instanceof field['instanceof'])))) {
 						if ('instanceof' in field && field['instanceof'] != null) {
@@ -1374,168 +1984,1486 @@ var security_template = {
 		if ('target_class' in data && this.validateText('max:255|alpha_dash', data['target_class']) >= 0 &&
 				data['target_class'] in this.data_schema && this.data_schema[data['target_class']] instanceof Object &&
 				'target_id' in data &&
+				(('user_id' in data && data['user_id'] != null) != ('group_id' in data && data['group_id'] != null)) &&
+				(!('group_id' in data && data['group_id'] != null) || this.membership_service != null) &&
 				((!('validation' in this.data_schema[data['target_class']].fields[this.id_name])) || this.validateText(this.data_schema[data['target_class']].fields[this.id_name]['validation'], data['target_id']) >= 0) &&
-				'privilege' in data && typeof(data['privilege']) == 'number') {
+				(('privilege' in data && data['privilege'] != null) || ('role' in data && data['role'] != null) || ('deny' in data && data['deny'] != null)) &&
+				(!('deny' in data && data['deny'] != null) || this.privilegeBits(data['deny']) != null) &&
+				(!('privilege' in data && data['privilege'] != null) || this.privilegeBits(data['privilege']) != null) &&
+				(!('role' in data && data['role'] != null) || this.privilegeRoleBits(data['role']) != null) &&
+				(!('valid_from' in data && data['valid_from'] != null) || dateValueIsValid(data['valid_from'])) &&
+				(!('valid_until' in data && data['valid_until'] != null) || dateValueIsValid(data['valid_until'])) &&
+				(!('valid_from' in data && data['valid_from'] != null && 'valid_until' in data && data['valid_until'] != null) ||
+					dateFromValue(data['valid_from']) < dateFromValue(data['valid_until']))) {
+			// The privilege may be a number, the name of a privilege bit or role, or an array of such names.
+			// The role, if present, must name a role from the privileges registry.
+			// The deny field, if present, takes the same forms as the privilege; a record may consist of a deny entry alone.
+			// The validity bounds, if present, must be dates (or date strings or millisecond counts), and valid_from must precede valid_until.
+			// The record names either a user_id or, if membership_service is configured, a group_id, but not both.
+			var has_privilege = ('privilege' in data && data['privilege'] != null);
+			var has_group = ('group_id' in data && data['group_id'] != null);
 			var dyn_schema = {
 				_id: {type: 'string', validation: 'max:255|alpha_dash', is_primary_key: 1, is_user_writable: 0},
-				user_id: {type: 'string', validation: 'max:255|alpha_dash|required', is_user_writable: 1, target_class: 'users'},
+				user_id: {type: 'string', validation: (has_group ? 'max:255|alpha_dash' : 'max:255|alpha_dash|required'), allow_null: 1, is_user_writable: 1, target_class: 'users'},
+				group_id: {type: 'string', validation: (has_group ? 'max:255|alpha_dash|required' : 'max:255|alpha_dash'), allow_null: 1, is_user_writable: 1},
 				target_class: {type: 'string', validation: 'max:255|alpha_dash|required', is_user_writable: 1},
-				target_id: {type: 'string', validation: 'max:255|alpha_dash|required', is_user_writable: 1, target_class: data['target_class'], target_authority: 14},
-				privilege: {type: 'number', validation: 'required', is_user_writable: 1},
+				target_id: {type: 'string', validation: 'max:255|alpha_dash|required', is_user_writable: 1, target_class: data['target_class'], target_authority: this.privilegeCheckBits('grant')},
+				privilege: {type: (has_privilege ? typeof(data['privilege']) : 'number'), validation: (has_privilege ? 'required' : ''), allow_null: 1, is_user_writable: 1},
+				role: {type: 'string', validation: 'max:255|alpha_dash', allow_null: 1, is_user_writable: 1},
+				deny: {type: (('deny' in data && data['deny'] != null) ? typeof(data['deny']) : 'number'), validation: '', allow_null: 1, is_user_writable: 1},
+				valid_from: {type: (('valid_from' in data && data['valid_from'] != null) ? typeof(data['valid_from']) : 'string'), validation: '', allow_null: 1, is_user_writable: 1},
+				valid_until: {type: (('valid_until' in data && data['valid_until'] != null) ? typeof(data['valid_until']) : 'string'), validation: '', allow_null: 1, is_user_writable: 1},
 				created_at: {type: 'date', validation: '', is_user_writable: 0},
 				created_by: {type: 'date', validation: '', is_user_writable: 0}
 			};
+			// Only the principal actually named gets a reference check.
+			if (has_group) delete dyn_schema.user_id.target_class;
+			if (has_group && this.group_service != null) dyn_schema.group_id.target_class = this.group_service;
 			return this.checkTypesCreate({fields: dyn_schema}, data, 1, 1, target_user, dramatic, null);
 		}
 		return Promise.resolve(-1);
 	},
-	checkAuthorityRevocation: function(target_id, target_user) {
-		// This checks whether a user has the right to cancel an authority record.
-		// The user can do this if he has control (direct or indirect) of the target of the authority record.
-		// We first identify the target of the authority record.
+	checkAuthorityRevocation: function(target_id, target_user) {
+		// This checks whether a user has the right to cancel an authority record.
+		// The user can do this if he has control (direct or indirect) of the target of the authority record.
+		// This applies equally to records granting a role, whose bits are expanded from the current role definition like any other grant.
+		// We first identify the target of the authority record.
+		var security = this;
+		return this.app.service('authorities').get(target_id).then(function (tr) {
+			// console.log("We found the authority record.");
+			if ('target_class' in tr && 'target_id' in tr &&
+					security.validateText('max:255|alpha_dash', tr['target_class']) >= 0 &&
+					(!('validation' in security.data_schema[tr['target_class']].fields[security.id_name])) || security.validateText(security.data_schema[tr['target_class']].fields[security.id_name]['validation'], tr['target_id']) >= 0) {
+				// Now we check the permissions on that target.
+				return (security.accessLevelSlow(target_user, tr['target_class'], tr['target_id']).then(function (x) {
+					if (security.privilegeCheck(x, 'revoke')) {
+						return 0;
+					} else {
+						return -1;
+					}
+				}));
+			} else {
+				// console.log("The reference breaks the rules.");
+				return Promise.resolve(-1);
+			}
+		}, function(err) { /* console.log("Something wrong!", err); */ return Promise.resolve(-1); });
+	},
+	checkRecursiveDocumentDepth: function(target_class, doc_id, reference_name, lookback, trail) {
+		// With ES6, perhaps we can use default arguments.
+		// reference_name = 'base_id', lookback = {}
+		// This confirms the validity and non-loopiness of the document reference chain.
+		if (doc_id in lookback && lookback[doc_id]) return -2; // This means that we have a loop.
+		if (Object.keys(lookback).length >= 0xFFFF) return -3; // This means that the chain is dangerously long.
+		var qresult1p = this.app.service(target_class).get(doc_id); // Get the record that we want to check.
+		var security = this;
+		return qresult1p.then(function (curr_entity) {
+			lookback[doc_id] = 1;
+			if (trail != null) trail.push(doc_id);
+			if (reference_name in curr_entity && typeof(curr_entity[reference_name]) == 'string' && curr_entity[reference_name] != '') {
+				// If the chain continues, we attach another promise to this one.
+				return security.checkRecursiveDocumentDepth(target_class, curr_entity[reference_name], reference_name, lookback, trail).then(function (tmpv) {
+					if (tmpv < 0) return Promise.resolve(tmpv);
+					return Promise.resolve(tmpv + 1);
+				}, function(err) {console.error('Query error in checkSaleDocumentDepth.', err); return Promise.resolve(-1);});
+			}
+			return Promise.resolve(0);
+		}, function(err) {console.error('Query error in checkSaleDocumentDepth.', err); return Promise.resolve(-1);});
+	},
+	getDocumentStack: function(target_class, doc_id, reference_name) {
+		var ds = [];
+		var lb = {};
+		var security = this;
+		return security.checkRecursiveDocumentDepth(target_class, doc_id, reference_name, lb, ds).then(function () {
+			// console.log(ds);
+			return Promise.resolve(ds);
+		}, function (err) { return Promise.reject(err); } );
+	},
+	getDocumentBase: function(target_class, doc_id, reference_name) {
+		var ds = [];
+		var security = this;
+		return security.checkRecursiveDocumentDepth(target_class, doc_id, reference_name, ds).then(function () { return ds[ds.length - 1]; },
+		function (err) { return Promise.reject(err); } );
+	},
+	accessCacheCreate: function(ttl) {
+		// This makes an empty access cache for accessLevelCached and for the userCan* helpers.
+		// Without a ttl, entries live as long as the cache object, so callers should make one cache per request.
+		// With a ttl (in milliseconds), entries expire, which makes the cache safe to share across requests.
+		// failures counts the query errors that computations using the cache have swallowed (see accessCacheFailed).
+		return {ttl: ((typeof(ttl) == 'number' && ttl > 0) ? ttl : null), records: {}, parents: {}, levels: {}, administrators: {}, groups: {}, members: {}, failures: 0};
+	},
+	accessCacheFailed: function(cache) {
+		// This notes that a query failed during a computation using the cache and that the computation carried on with a fallback value, such as 0 for a level.
+		// accessCacheMemo then drops the entries computed meanwhile, so that the fallback does not stick for the life of the cache.
+		if (cache instanceof Object) cache.failures = ((typeof(cache.failures) == 'number') ? cache.failures : 0) + 1;
+		return 0;
+	},
+	accessCacheShared: function() {
+		// This returns the cross-request cache, creating it on first use, or null if access_cache_ttl is not set.
+		var security = this;
+		if (!(typeof(security.access_cache_ttl) == 'number' && security.access_cache_ttl > 0)) return null;
+		if (!(security.access_cache_shared instanceof Object)) security.access_cache_shared = security.accessCacheCreate(security.access_cache_ttl);
+		return security.access_cache_shared;
+	},
+	accessCacheMemo: function(cache, table, path, compute, local_only, settled_only) {
+		// This returns the promise stored under path in the named table of the request cache or of the shared cache.
+		// On a miss, it calls compute and stores the resulting promise in both.
+		// Rejected promises are dropped so that errors do not stick, as are the values of computations during which a cache noted a failure (see accessCacheFailed).
+		// If local_only is set, the shared cache is neither consulted nor filled.
+		// If settled_only is set, a promise still pending does not count as a hit, and a miss is computed without being stored.
+		// A computation that runs inside another one uses this, since the pending promise may belong to a computation that is waiting on it.
+		var security = this;
+		var caches = [];
+		if (cache instanceof Object) caches.push(cache);
+		var shared = (local_only ? null : security.accessCacheShared());
+		if (shared != null && shared !== cache) caches.push(shared);
+		if (caches.length == 0) return compute();
+		var now = Date.now();
+		var hit = null;
+		var ci;
+		for (ci = 0; ci < caches.length && hit == null; ci++) {
+			var entry = cacheTreeGet(caches[ci][table], path);
+			if (entry != null && (entry.expires == null || entry.expires > now) && (entry.settled || !settled_only)) hit = entry;
+		}
+		if (hit != null) {
+			// Copy a shared hit into the request cache so that it stays stable for the rest of the request.
+			if (ci > 1) cacheTreeSet(caches[0][table], path, {value: hit.value, expires: null, settled: hit.settled});
+			return hit.value;
+		}
+		var failures = caches.map(function (tcache, c_ind, c_arr) { return tcache.failures; });
+		var value = compute();
+		if (settled_only) return value;
+		var entries = caches.map(function (tcache, c_ind, c_arr) {
+			return cacheTreeSet(tcache[table], path, {value: value, expires: (tcache.ttl ? now + tcache.ttl : null), settled: 0});
+		});
+		var drop = function () {
+			caches.forEach(function (tcache, c_ind, c_arr) {
+				// A later computation may have replaced the entry already.
+				if (cacheTreeGet(tcache[table], path) === entries[c_ind]) cacheTreeDrop(tcache[table], path);
+			});
+		};
+		value.then(function () {
+			// A failure noted during the computation, even by a concurrent one, means that the value may rest on a fallback.
+			if (caches.some(function (tcache, c_ind, c_arr) { return tcache.failures !== failures[c_ind]; })) return drop();
+			entries.forEach(function (tentry, e_ind, e_arr) { tentry.settled = 1; });
+		}, drop);
+		return value;
+	},
+	accessCacheClear: function(cache, target_class, target_id, target_user) {
+		// This drops entries that a change to the specified record may have made stale.
+		// A change to an authority record affects only the levels of its user (or of everybody if target_user is null, as for group grants).
+		// A change to a membership record affects the groups and levels of everybody.
+		// A change to a join service affects the parent links of the classes that transit through it.
+		// A change to any other record affects its cached copy and parent links and, through privilege_transit, the levels of its descendants.
+		var security = this;
+		if (!(cache instanceof Object)) return 0;
+		if (security.membership_service != null && target_class == security.membership_service) {
+			// Nesting means that a membership change can affect any user, so we drop all group lists and levels.
+			cache.groups = {};
+			cache.members = {};
+			cache.levels = {};
+			return 0;
+		}
+		if (target_class == 'authorities') {
+			if (target_user != null) cacheTreeDrop(cache.levels, [target_user]);
+			else cache.levels = {};
+			return 0;
+		}
+		if (target_class == 'users' && target_id != null) cacheTreeDrop(cache.administrators, [target_id]);
+		// A change to a join service named by a via entry changes the parent links of the class owning the entry.
+		var child_class;
+		for (child_class in security.privilege_transit) {
+			if (security.privilege_transit[child_class].some(function (entry) { return entry['via'] == target_class; })) cacheTreeDrop(cache.parents, [child_class]);
+		}
+		if (target_id != null) {
+			cacheTreeDrop(cache.records, [target_class, target_id]);
+			cacheTreeDrop(cache.parents, [target_class, target_id]);
+		} else {
+			cacheTreeDrop(cache.records, [target_class]);
+			cacheTreeDrop(cache.parents, [target_class]);
+		}
+		cache.levels = {};
+		return 0;
+	},
+	accessCacheInvalidate: function(target_class, target_id, target_user) {
+		// This clears stale entries from the shared cache.
+		return this.accessCacheClear(this.accessCacheShared(), target_class, target_id, target_user);
+	},
+	hookAccessCache: function(hook) {
+		// This returns the request cache for the hook.
+		// A caller opts in by putting a cache (from accessCacheCreate) at hook.params.accessCache or by setting access_cache_hooks on the security object.
+		var security = hook.app.security;
+		if ('accessCache' in hook.params && hook.params.accessCache instanceof Object) return hook.params.accessCache;
+		if ('access_cache_hooks' in security && security.access_cache_hooks) {
+			hook.params.accessCache = security.accessCacheCreate(null);
+			return hook.params.accessCache;
+		}
+		return null;
+	},
+	hookAccessTimestamp: function(hook) {
+		// This returns the time as of which the hook should evaluate access, following hookTimestamp, or null (meaning now) if params.timestamp is not set.
+		if ('timestamp' in hook.params && hook.params.timestamp != null) return dateFromValue(hook.params.timestamp);
+		return null;
+	},
+	hookAccessCacheInvalidate: function(target_class, hook) {
+		// This is for use as an after hook for create, update, patch, and remove on authorities, on membership_service, on join services, and on any class with privilege_transit entries.
+		var security = hook.app.security;
+		var caches = [security.accessCacheShared()];
+		if ('accessCache' in hook.params && hook.params.accessCache instanceof Object) caches.push(hook.params.accessCache);
+		var recs = [];
+		if ('result' in hook && hook.result instanceof Array) recs = hook.result;
+		else if ('result' in hook && hook.result instanceof Object) recs = [hook.result];
+		caches.forEach(function (cache, c_ind, c_arr) {
+			if (target_class == 'authorities') {
+				// An update or a patch may have moved the authority away from a user whom the result does not name, so it drops the levels of everybody.
+				if (recs.length == 0 || hook.method == 'update' || hook.method == 'patch') return security.accessCacheClear(cache, target_class, null, null);
+				recs.forEach(function (rec, r_ind, r_arr) {
+					// A group grant reaches every member of the group, so it also drops the levels of everybody.
+					var grantee = ((('group_id' in rec) && rec['group_id'] != null) ? null : (('user_id' in rec) ? rec['user_id'] : null));
+					security.accessCacheClear(cache, target_class, null, grantee);
+				});
+			} else if (hook.id != null) {
+				security.accessCacheClear(cache, target_class, hook.id, null);
+			} else if (recs.length > 0) {
+				recs.forEach(function (rec, r_ind, r_arr) {
+					security.accessCacheClear(cache, target_class, ((security.id_name in rec) ? rec[security.id_name] : null), null);
+				});
+			} else {
+				security.accessCacheClear(cache, target_class, null, null);
+			}
+		});
+		return Promise.resolve(hook);
+	},
+	getRecordAt: function(target_class, target_id, timestamp) {
+		// This fetches a record as it stood at the timestamp, or as it stands now if the timestamp is null.
+		// For overlaid classes, the overlay live at the timestamp is merged over the base record (see attachOverlayAt).
+		var security = this;
+		var recp = security.app.service(target_class).get(target_id);
+		if (timestamp == null || !(target_class in security.data_schema) || !security.data_schema[target_class].overlay_name) return recp;
+		return recp.then(function (rec) {
+			return security.attachOverlayAt(target_class, rec, timestamp);
+		}, function (err) { return Promise.reject(err); });
+	},
+	getRecordCached: function(target_class, target_id, cache, timestamp) {
+		// This fetches a record (as of the timestamp, if supplied), memoizing it if a cache is supplied.
+		var security = this;
+		if (cache == null) return security.getRecordAt(target_class, target_id, timestamp);
+		return security.accessCacheMemo(cache, 'records', [target_class, target_id, accessCacheStamp(timestamp)], function () {
+			return security.getRecordAt(target_class, target_id, timestamp);
+		}, (timestamp != null));
+	},
+	getParents: function(target_class, target_id, cache, timestamp) {
+		// If a cache is supplied, this memoizes the record and the resulting links.
+		// If a timestamp is supplied, the links are read from the record as it stood at that time.
+		if (target_class in this.privilege_transit) {
+			var security = this;
+			var fetchParents = function () {
+				// Get the current record so that we can check for upstream links.
+				var qresult2p = security.getRecordCached(target_class, target_id, cache, timestamp); // TODO: Change to let.
+				return qresult2p.then(function (curr_entity) {
+					return security.getJoinedParents(target_class, [curr_entity]).then(function (joined) {
+						return security.getParentsFromRecord(target_class, curr_entity).concat((curr_entity[security.id_name] in joined) ? joined[curr_entity[security.id_name]] : []);
+					}, function (err) { return Promise.reject(err); });
+				}, function(err) {console.error('Query error in getParents.', err); security.accessCacheFailed(cache); return [];});
+			};
+			if (cache != null) return security.accessCacheMemo(cache, 'parents', [target_class, target_id, accessCacheStamp(timestamp)], fetchParents, (timestamp != null));
+			return fetchParents();
+		}
+		return Promise.resolve([]);
+	},
+	getParentsFromRecord: function(target_class, curr_entity) {
+		// This lists the parent links in a record of the specified class.
+		// Entries with a when predicate (a query, see recordMatchesQuery) yield a link only if the record matches it.
+		// A key holding an array of ids yields a link to each of them.
+		// Entries that go through a join service (via) are not handled here but in getJoinedParents.
+		var rv = []; // TODO: Change to let.
+		if (!(target_class in this.privilege_transit)) return rv;
+		// Iterate through all privilege transit entries for the current class.
+		this.privilege_transit[target_class].forEach( function (currentValue, index, array) {
+			if ('via' in currentValue && currentValue['via'] != null) return;
+			// If there is a link in the current record to a record from a higher-order-privilege class, we add the corresponding class and identifier.
+			if (currentValue['key'] in curr_entity && curr_entity[currentValue['key']] != null &&
+					(!('when' in currentValue) || currentValue['when'] == null || recordMatchesQuery(curr_entity, currentValue['when']))) {
+				var parent_ids = ((curr_entity[currentValue['key']] instanceof Array) ? curr_entity[currentValue['key']] : [curr_entity[currentValue['key']]]);
+				parent_ids.forEach(function (parent_id, p_ind, p_arr) {
+					if (parent_id == null) return;
+					if ('mask' in currentValue) {
+						rv.push({'target_class': currentValue['class'], 'target_id': parent_id, 'key': currentValue['key'], 'mask': currentValue['mask']});
+					} else {
+						rv.push({'target_class': currentValue['class'], 'target_id': parent_id, 'key': currentValue['key']});
+					}
+				});
+			}
+		});
+		// console.log(rv);
+		return rv;
+	},
+	getJoinedParents: function(target_class, records) {
+		// This lists the parent links that the records of the specified class have through join services and returns a dictionary from record id to links.
+		// A join entry in privilege_transit has the form {via, from, to, class}: each record of the via service whose from field holds the id of the child links it to the record of class whose id is in the to field.
+		// The links carry the via name and otherwise look like those from getParentsFromRecord, with the to field as the key.
+		var security = this;
+		var rv = {};
+		records.forEach(function (rec, r_ind, r_arr) { if (security.id_name in rec) rv[rec[security.id_name]] = []; });
+		var entries = ((target_class in security.privilege_transit) ? security.privilege_transit[target_class] : []).filter(function (entry) { return ('via' in entry && entry['via'] != null); });
+		if (entries.length == 0 || records.length == 0) return Promise.resolve(rv);
+		return Promise.all(entries.map(function (entry) {
+			var child_ids = records.filter(function (rec) {
+				return (security.id_name in rec && (!('when' in entry) || entry['when'] == null || recordMatchesQuery(rec, entry['when'])));
+			}).map(function (rec) { return rec[security.id_name]; });
+			if (child_ids.length == 0) return 0;
+			return security.findByIds(entry['via'], entry['from'], child_ids, {}).then(function (rows) {
+				rows.forEach(function (row, j_ind, j_arr) {
+					if (!(row[entry['from']] in rv) || row[entry['to']] == null) return;
+					var parent_ids = ((row[entry['to']] instanceof Array) ? row[entry['to']] : [row[entry['to']]]);
+					parent_ids.forEach(function (parent_id, p_ind, p_arr) {
+						var link = {'target_class': entry['class'], 'target_id': parent_id, 'key': entry['to'], 'via': entry['via']};
+						if ('mask' in entry) link['mask'] = entry['mask'];
+						rv[row[entry['from']]].push(link);
+					});
+				});
+				return 0;
+			}, function (err) { return Promise.reject(err); });
+		})).then(function () { return rv; }, function (err) { return Promise.reject(err); });
+	},
+	privilegeBits: function(spec, trail) {
+		// This converts a privilege specification into a bitmask using the privileges registry.
+		// A specification may be a number, the name of a bit, the name of a role, or an array of any of those.
+		// It returns null if any name is unknown (or if roles refer to each other in a loop).
+		var security = this;
+		if (typeof(spec) == 'number') return spec;
+		if (spec instanceof Array) {
+			var acc = 0;
+			var si;
+			for (si = 0; si < spec.length; si++) {
+				var tbits = security.privilegeBits(spec[si], trail);
+				if (tbits == null) return null;
+				acc |= tbits;
+			}
+			return acc;
+		}
+		if (typeof(spec) == 'string' && 'privileges' in security && security.privileges instanceof Object) {
+			var registry = security.privileges;
+			if ('bits' in registry && spec in registry.bits) return registry.bits[spec].bit;
+			if ('roles' in registry && spec in registry.roles) {
+				var rtrail = ((trail instanceof Array) ? trail : []);
+				if (rtrail.indexOf(spec) >= 0) return null;
+				return security.privilegeBits(registry.roles[spec], rtrail.concat([spec]));
+			}
+		}
+		return null;
+	},
+	privilegeTransitiveMask: function() {
+		// This returns a mask of the bits that pass through privilege_transit.
+		// Bits absent from the registry keep their transitivity in the default registry, and bits absent from both are transitive.
+		var nontransitive = 0;
+		var listed = 0;
+		var defaults = privilegesDefault().bits;
+		var bname;
+		if ('privileges' in this && this.privileges instanceof Object && this.privileges.bits instanceof Object) {
+			for (bname in this.privileges.bits) {
+				listed |= this.privileges.bits[bname].bit;
+				if ('transitive' in this.privileges.bits[bname] && !this.privileges.bits[bname].transitive) nontransitive |= this.privileges.bits[bname].bit;
+			}
+		}
+		for (bname in defaults) {
+			if (!(defaults[bname].bit & listed) && !defaults[bname].transitive) nontransitive |= defaults[bname].bit;
+		}
+		return ~nontransitive;
+	},
+	privilegeCheckEntry: function(check_name) {
+		// This returns the named check from the privileges registry or, if the registry lacks it, from the default registry, or null if neither has it.
+		var registry = this.privileges;
+		var check = ((registry instanceof Object && registry.checks instanceof Object) ? registry.checks[check_name] : null);
+		if (!(check instanceof Object) || !('any' in check || 'all' in check)) check = privilegesDefault().checks[check_name];
+		return ((check instanceof Object) ? check : null);
+	},
+	privilegeCheckBits: function(check_name) {
+		// This returns the bits that the named check from the privileges registry examines, or null if the check or one of its privileges is unknown.
+		var check = this.privilegeCheckEntry(check_name);
+		if (check == null) return null;
+		return this.privilegeBits(('any' in check) ? check['any'] : check['all']);
+	},
+	privilegeCheck: function(level, check_name) {
+		// This applies the named check from the privileges registry to a level.
+		// A check with any passes if the level has at least one of its bits, and a check with all passes if the level has every one of them.
+		if (typeof(level) != 'number') return 0;
+		var check = this.privilegeCheckEntry(check_name);
+		var bits = this.privilegeCheckBits(check_name);
+		if (bits == null) return 0;
+		if ('any' in check) return ((level & bits) ? 1 : 0);
+		return (((level & bits) == bits) ? 1 : 0);
+	},
+	authorityIsLive: function(auth, timestamp) {
+		// This checks whether an authority record is in force at the timestamp (or now if the timestamp is null).
+		// A record with valid_from takes effect at that time, and a record with valid_until lapses at that time.
+		// A record also counts only from its created_at until its destroyed_at.
+		var when = ((timestamp != null) ? dateFromValue(timestamp) : new Date());
+		if ('created_at' in auth && auth['created_at'] != null && !(dateFromValue(auth['created_at']) <= when)) return false;
+		if ('destroyed_at' in auth && auth['destroyed_at'] != null && !(dateFromValue(auth['destroyed_at']) > when)) return false;
+		if ('valid_from' in auth && auth['valid_from'] != null && !(dateFromValue(auth['valid_from']) <= when)) return false;
+		if ('valid_until' in auth && auth['valid_until'] != null && !(dateFromValue(auth['valid_until']) > when)) return false;
+		return true;
+	},
+	authorityQuery: function(target_user, target_class, target_id, timestamp, group_ids) {
+		// This builds the authorities query for the specified user and target.
+		// If group_ids is supplied, the query matches records granted to any of those groups instead of records granted to the user.
+		// target_class and target_id may be null to leave them unconstrained, and target_id may be an array, in which case the query matches any of its entries.
+		// Without a timestamp, this matches records not yet destroyed. With a timestamp, it also matches records destroyed after that time.
+		var searchParams = {};
+		if (group_ids instanceof Array) searchParams['group_id'] = {'$in': group_ids};
+		else searchParams['user_id'] = target_user;
+		if (target_class != null) searchParams['target_class'] = target_class;
+		if (timestamp != null) searchParams['$or'] = [{destroyed_at: null}, {destroyed_at: {'$gt': dateFromValue(timestamp)}}];
+		else searchParams['destroyed_at'] = null;
+		if (target_id != null) searchParams['target_id'] = ((target_id instanceof Array) ? {'$in': target_id} : target_id);
+		return searchParams;
+	},
+	findAuthorities: function(target_user, target_class, target_id, cache, timestamp) {
+		// This fetches the authority records that apply to the user on the target, whether granted to the user or to one of the user's groups (see userGroups).
+		// The arguments are as for authorityQuery. The records granted to groups come from a second find.
+		var security = this;
+		return security.userGroups(target_user, cache, timestamp).then(function (group_ids) {
+			var queries = [security.authorityQuery(target_user, target_class, null, timestamp)];
+			if (group_ids.length > 0) queries.push(security.authorityQuery(target_user, target_class, null, timestamp, group_ids));
+			return Promise.all(queries.map(function (query) {
+				if (target_id instanceof Array) return security.findByIds('authorities', 'target_id', target_id, query);
+				if (target_id != null) query['target_id'] = target_id;
+				return security.findAll('authorities', query);
+			})).then(function (results) {
+				var rv = [];
+				results.forEach(function (rows, r_ind, r_arr) { rv = rv.concat(rows); });
+				return rv;
+			}, function (err) { return Promise.reject(err); });
+		}, function (err) { return Promise.reject(err); });
+	},
+	userGroups: function(target_user, cache, timestamp) {
+		// This lists the groups to which the user belongs, directly or through groups nested in other groups.
+		// Membership records in membership_service have a group_id and either a user_id or, for a nested group, a member_group_id.
+		// If a timestamp is supplied, the memberships count as they stood at that time, by their created_at and destroyed_at as in authorityQuery and authorityIsLive.
+		// lookback tracks the groups seen, as in checkRecursiveDocumentDepth, so that a loop in the nesting stops the climb.
+		var security = this;
+		if (security.membership_service == null || target_user == null) return Promise.resolve([]);
+		if (cache != null) {
+			return security.accessCacheMemo(cache, 'groups', [target_user, accessCacheStamp(timestamp)], function () {
+				return security.userGroups(target_user, null, timestamp);
+			}, (timestamp != null));
+		}
+		var live_query = ((timestamp != null) ? {'$or': [{destroyed_at: null}, {destroyed_at: {'$gt': dateFromValue(timestamp)}}]} : {destroyed_at: null});
+		var lookback = {};
+		var groups = [];
+		var climb = function (rows) {
+			var frontier = [];
+			rows.forEach(function (mem, m_ind, m_arr) {
+				if (!('group_id' in mem) || mem['group_id'] == null || mem['group_id'] in lookback) return;
+				if (timestamp != null && !security.authorityIsLive(mem, timestamp)) return;
+				lookback[mem['group_id']] = 1;
+				groups.push(mem['group_id']);
+				frontier.push(mem['group_id']);
+			});
+			if (frontier.length == 0) return groups;
+			if (groups.length >= 0xFFFF) return Promise.reject(new Error("Group nesting is dangerously deep."));
+			return security.findByIds(security.membership_service, 'member_group_id', frontier, live_query).then(climb, function (err) { return Promise.reject(err); });
+		};
+		var user_query = {user_id: target_user};
+		var qkey;
+		for (qkey in live_query) user_query[qkey] = live_query[qkey];
+		return security.findAll(security.membership_service, user_query).then(climb, function (err) { return Promise.reject(err); });
+	},
+	groupMembers: function(group_id, cache) {
+		// This is the inverse of userGroups: it lists the users in the group, directly or through nested groups.
+		var security = this;
+		if (security.membership_service == null || group_id == null) return Promise.resolve([]);
+		if (cache != null) {
+			return security.accessCacheMemo(cache, 'members', [group_id], function () {
+				return security.groupMembers(group_id, null);
+			});
+		}
+		var lookback = {};
+		lookback[group_id] = 1;
+		var users = [];
+		var descend = function (rows) {
+			var frontier = [];
+			rows.forEach(function (mem, m_ind, m_arr) {
+				if ('user_id' in mem && mem['user_id'] != null && users.indexOf(mem['user_id']) < 0) users.push(mem['user_id']);
+				if (!('member_group_id' in mem) || mem['member_group_id'] == null || mem['member_group_id'] in lookback) return;
+				lookback[mem['member_group_id']] = 1;
+				frontier.push(mem['member_group_id']);
+			});
+			if (frontier.length == 0) return users;
+			if (Object.keys(lookback).length >= 0xFFFF) return Promise.reject(new Error("Group nesting is dangerously deep."));
+			return security.findByIds(security.membership_service, 'group_id', frontier, {destroyed_at: null}).then(descend, function (err) { return Promise.reject(err); });
+		};
+		return security.findByIds(security.membership_service, 'group_id', [group_id], {destroyed_at: null}).then(descend, function (err) { return Promise.reject(err); });
+	},
+	authorityBits: function(auth) {
+		// This returns the privilege bits granted by an authority record.
+		// The privilege may be a number or any name that privilegeBits understands.
+		// A record may instead (or also) name a role, which is expanded at evaluation time so that changing the role definition changes every such grant.
+		var rv = 0;
+		if ('privilege' in auth && auth['privilege'] != null) {
+			var bits = this.privilegeBits(auth['privilege']);
+			if (bits != null) rv |= bits;
+		}
+		if ('role' in auth && auth['role'] != null) {
+			var role_bits = this.privilegeRoleBits(auth['role']);
+			if (role_bits != null) rv |= role_bits;
+		}
+		return rv;
+	},
+	authorityDenyBits: function(auth) {
+		// This returns the privilege bits that an authority record denies, from its deny field (any specification that privilegeBits understands).
+		if ('deny' in auth && auth['deny'] != null) {
+			var bits = this.privilegeBits(auth['deny']);
+			if (bits != null) return bits;
+		}
+		return 0;
+	},
+	privilegeRoleBits: function(role) {
+		// This expands a role name from the privileges registry, returning null if there is no such role.
+		if (typeof(role) == 'string' && 'privileges' in this && 'roles' in this.privileges && role in this.privileges.roles) return this.privilegeBits(role);
+		return null;
+	},
+	transitLevel: function(parent_level, link) {
+		// This converts a level on a parent into the level that it confers on the child through the link from getParents.
+		var tmp = parent_level;
+		tmp &= this.privilegeTransitiveMask(); // We drop the non-transitive bits.
+		if ('mask' in link) tmp &= link.mask; // We apply a transit mask.
+		return tmp;
+	},
+	accessWalkStop: function(target_class, target_id, trail) {
+		// This returns a message if the walk up privilege_transit must stop at the specified record, or null if it may continue.
+		// trail is the list of records (as JSON [class, id] pairs) already on the path.
+		var here = JSON.stringify([target_class, target_id]);
+		var describe = function (entries) { return entries.map(function (entry) { var pair = JSON.parse(entry); return pair[0] + " " + pair[1]; }).join(" -> "); };
+		var max_depth = ((typeof(this.privilege_transit_max_depth) == 'number' && this.privilege_transit_max_depth > 0) ? this.privilege_transit_max_depth : 64);
+		if (trail.indexOf(here) >= 0) return "The record " + target_class + " " + target_id + " closes a loop in privilege_transit (" + describe(trail.slice(trail.indexOf(here)).concat([here])) + ").";
+		if (trail.length > max_depth) return "The record " + target_class + " " + target_id + " is more than " + max_depth + " links up privilege_transit (" + describe(trail.slice(0, 1)) + " -> ...).";
+		return null;
+	},
+	accessLevelSlow: function(target_user, target_class, target_id, cache, trace, timestamp, trail) {
+		// This searches for direct and indirect authority links and returns the bitwise maximum authority that the specified user has over the specified item.
+		// If a cache is supplied, the records, parent links, and parent levels that this visits are memoized there (see accessLevelCached).
+		// If a trace object is supplied, this fills it with the derivation of the level (see explainAccess). Tracing bypasses the cache for parents.
+		// If a timestamp is supplied, authority records and parent links are evaluated as they stood at that time (see authorityIsLive and getRecordAt). Otherwise they are evaluated as of now.
+		// Bits denied by the user's authority records on the item are removed from the result last, so they also stop flowing to the item's children.
+		// trail lists the records on the path from the original item, as in checkRecursiveDocumentDepth, so that a loop in the data stops the walk.
+		// A record that closes a loop, or that lies more than privilege_transit_max_depth links up, contributes nothing, and the problem is logged (and noted in the trace).
+		var security = this;
+		var denied = 0;
+		var walked = ((trail instanceof Array) ? trail : []);
+		var stop = security.accessWalkStop(target_class, target_id, walked);
+		if (trace != null) {
+			trace.target_class = target_class;
+			trace.target_id = target_id;
+			trace.exists = null;
+			trace.authorities = [];
+			trace.self_access = 0;
+			trace.parents = [];
+		}
+		if (stop != null) {
+			console.error(stop);
+			if (trace != null) {
+				trace.stopped = stop;
+				trace.level = 0;
+			}
+			return Promise.resolve(0);
+		}
+		var next_trail = walked.concat([JSON.stringify([target_class, target_id])]);
+		// We also want to be sure that the record actually exists.
+		var p0 = this.getRecordCached(target_class, target_id, cache, timestamp).then(function (rec) { if (trace != null) trace.exists = true; return 0; },
+		function (err) { if (trace != null) { trace.exists = false; trace.error = err.message; } return Promise.reject(err); });
+		// let searchParams = {user: target_user, target: target_id, '$sort': {destroyed_at: -1}};
+		// This includes the authority records granted to the groups of the user.
+		var qresult1p = this.findAuthorities(target_user, target_class, target_id, cache, timestamp).then(function (rows) { return {data: rows}; },
+			function (err) { return Promise.reject(err); });  // TODO: Change to let.
+		// Iterate through all relevant authority records for this uuid pair and find maximum privilege.
+		var p1 = qresult1p.then(function (curr_auth) {
+			var maxacc1 = 0;  // TODO: Change to let.
+			// If the target_class is user and the id matches and there is a defined self-access level, add it.
+			if (target_class == 'users' && 'user_self_access' in security && typeof(security.user_self_access) == 'number' && target_id == target_user) {
+				maxacc1 |= security.user_self_access;
+				if (trace != null) trace.self_access = security.user_self_access;
+			}
+			// console.log("Queried.");
+			// console.log(curr_auth);
+			if ('data' in curr_auth) curr_auth['data'].forEach( function (currentValue, index, array) {
+				// console.log("Result.", currentValue);
+				var live = security.authorityIsLive(currentValue, timestamp);
+				if (live) maxacc1 |= security.authorityBits(currentValue);
+				if (live) denied |= security.authorityDenyBits(currentValue);
+				if (trace != null) trace.authorities.push({'authority_id': currentValue[security.id_name], 'privilege': (('privilege' in currentValue) ? currentValue['privilege'] : null), 'role': (('role' in currentValue) ? currentValue['role'] : null), 'group_id': (('group_id' in currentValue) ? currentValue['group_id'] : null), 'bits': security.authorityBits(currentValue), 'deny': security.authorityDenyBits(currentValue), 'live': live});
+			});
+			if (trace != null) trace.direct = maxacc1;
+			return maxacc1;
+		}, function(err) {console.error('Query error in accessLevelSlow.', err); return security.accessCacheFailed(cache);});
+		// But we are not done. These privileges are also transitive, so we check higher order privileges.
+		var p2 = this.getParents(target_class, target_id, cache, timestamp).then(function (target_parents) {
+			// Iterate through all privilege transit entries for the current class.
+			var parent_promises = [];
+			target_parents.forEach(function (currentValue, index, array) {
+				// If there is a link in the current record to a record from a higher-order-privilege class, we note that parent so that we can compute privileges against that item.
+				if (trace != null) {
+					var parent_trace = {};
+					trace.parents.push({'key': currentValue['key'], 'via': (('via' in currentValue) ? currentValue['via'] : null), 'mask': (('mask' in currentValue) ? currentValue['mask'] : null), 'derivation': parent_trace});
+					parent_promises.push(security.accessLevelSlow(target_user, currentValue['target_class'], currentValue['target_id'], null, parent_trace, timestamp, next_trail));
+				} else if (cache != null && security.accessWalkStop(currentValue['target_class'], currentValue['target_id'], next_trail) == null) {
+					// accessLevelCached uses only settled levels here, since a pending one may be waiting on this walk, whether through a loop in this walk or through another walk sharing the cache.
+					parent_promises.push(security.accessLevelCached(target_user, currentValue['target_class'], currentValue['target_id'], cache, timestamp, next_trail));
+				} else parent_promises.push(security.accessLevelSlow(target_user, currentValue['target_class'], currentValue['target_id'], null, null, timestamp, next_trail));
+			});
+			var parent_join = Promise.all(parent_promises);
+			return parent_join.then(function (parent_levels) {
+				// For each parent, we resolve the privilege level and add it (bitwise) to the accumulator.
+				var parent_max_acc = 0; // TODO: Change to let.
+				parent_levels.forEach(function (currentValue, index, array) {
+					var conferred = security.transitLevel(currentValue, target_parents[index]);
+					if (trace != null) {
+						trace.parents[index].parent_level = currentValue;
+						trace.parents[index].dropped = currentValue & ~security.privilegeTransitiveMask();
+						trace.parents[index].masked = (currentValue & security.privilegeTransitiveMask()) & ~conferred;
+						trace.parents[index].conferred = conferred;
+					}
+					parent_max_acc |= conferred; // We add the privilege for this parent to the accumulator.
+				});
+				if (trace != null) trace.inherited = parent_max_acc;
+				return parent_max_acc;
+			}, function(err) {console.error('Query error in accessLevelSlow.', err); return security.accessCacheFailed(cache);});
+		}, function(err) {console.error('Query error in accessLevelSlow.', err); return security.accessCacheFailed(cache);});
+		// Now we combine the results of the immediate and parent privilege computations.
+		var acc_join = Promise.all([p0, p1, p2]);
+		return acc_join.then(function (parent_levels) {
+			var parent_max_acc = 0; // TODO: Change to let.
+			parent_levels.forEach(function (currentValue, index, array) { parent_max_acc |= currentValue; });
+			// Denials take precedence over grants on the same record and over inherited grants.
+			parent_max_acc &= ~denied;
+			// console.log("Access level:", parent_max_acc);
+			if (trace != null) trace.denied = denied;
+			if (trace != null) trace.level = parent_max_acc;
+			return parent_max_acc;
+		}, function(err) {console.error('Query error in accessLevelSlow.', err); if (trace != null) trace.level = 0; return security.accessCacheFailed(cache);});
+	},
+	explainAccess: function(target_user, target_class, target_id, timestamp) {
+		// This returns the full derivation of the level that accessLevelSlowWithUser computes.
+		// The derivation tree has a node for each record visited, listing the authority records matched, the user self-access,
+		// and each privilege_transit hop with its mask, the non-transitive bit dropped, the bits masked off, and the bits conferred.
+		// explainAccessText renders the result for humans.
+		var security = this;
+		var derivation = {};
+		return Promise.all([security.userIsAdministrator(target_user, null, timestamp), security.accessLevelSlow(target_user, target_class, target_id, null, derivation, timestamp)]).then(
+			function (rv) {
+				return security.accessAdministratorBits(rv[0], target_user, target_class, target_id, null, timestamp).then(function (admin_bits) {
+					return [rv[0], rv[1], admin_bits];
+				}, function (err) { return Promise.reject(err); });
+			},
+			function (err) { return Promise.reject(err); }
+		).then(
+			function (rv) {
+				return {
+					'user_id': target_user,
+					'target_class': target_class,
+					'target_id': target_id,
+					'timestamp': ((timestamp != null) ? timestamp : null),
+					'administrator': (rv[0] ? true : false),
+					'administrator_level': rv[2],
+					'derivation': derivation,
+					'level': (rv[2] | rv[1])
+				};
+			},
+			function (err) { return Promise.reject(err); }
+		);
+	},
+	explainAccessText: function(explanation) {
+		// This renders the output of explainAccess as indented plain text suitable for a support ticket.
+		var hex = function (v) { return '0x' + ((typeof(v) == 'number') ? v : 0).toString(16); };
+		var lines = [];
+		lines.push("Access of user " + explanation['user_id'] + " to " + explanation['target_class'] + " " + explanation['target_id'] +
+			((explanation['timestamp'] != null) ? " as of " + new Date(explanation['timestamp']).toISOString() : "") + ": " + hex(explanation['level']) + ".");
+		lines.push("Administrator: " + (explanation['administrator'] ? "yes, granting " + hex(explanation['administrator_level']) : "no") + ".");
+		var describe = function (node, indent) {
+			var pad = new Array(indent + 1).join("  ");
+			var status = ((node['exists'] === false) ? " (record not found" + (('error' in node) ? ": " + node['error'] : "") + ")" : "");
+			if ('stopped' in node) {
+				lines.push(pad + node['target_class'] + " " + node['target_id'] + ": not followed. " + node['stopped']);
+				return;
+			}
+			lines.push(pad + node['target_class'] + " " + node['target_id'] + ": level " + hex(node['level']) + status + ".");
+			if (node['self_access']) lines.push(pad + "  user self-access: " + hex(node['self_access']) + ".");
+			if (node['authorities'].length == 0) lines.push(pad + "  authorities: none.");
+			node['authorities'].forEach(function (auth, a_ind, a_arr) {
+				var fields = [];
+				if (auth['privilege'] != null) fields.push("privilege " + JSON.stringify(auth['privilege']));
+				if (auth['role'] != null) fields.push("role " + auth['role']);
+				if (auth['group_id'] != null) fields.push("through group " + auth['group_id']);
+				lines.push(pad + "  authority " + auth['authority_id'] + ((fields.length > 0) ? ": " + fields.join(", ") + "," : "") + (auth['live'] ? " grants " : " is not in force and would grant ") + hex(auth['bits']) +
+					(auth['deny'] ? " and " + (auth['live'] ? "denies " : "deny ") + hex(auth['deny']) : "") + ".");
+			});
+			if (node['denied']) lines.push(pad + "  denied: " + hex(node['denied']) + ".");
+			node['parents'].forEach(function (hop, h_ind, h_arr) {
+				lines.push(pad + "  via " + ((hop['via'] != null) ? hop['via'] + "." : "") + hop['key'] + " to " + hop['derivation']['target_class'] + " " + hop['derivation']['target_id'] +
+					((hop['mask'] != null) ? " (mask " + hex(hop['mask']) + ")" : "") +
+					": parent level " + hex(hop['parent_level']) + ", non-transitive bits dropped " + hex(hop['dropped']) +
+					", masked off " + hex(hop['masked']) + ", conferred " + hex(hop['conferred']) + ".");
+				describe(hop['derivation'], indent + 2);
+			});
+		};
+		describe(explanation['derivation'], 0);
+		return lines.join("\n");
+	},
+	accessLevelCached: function(target_user, target_class, target_id, cache, timestamp, trail) {
+		// This is accessLevelSlow with memoization.
+		// Levels are memoized per (user, class, id) in the supplied request cache and, if access_cache_ttl is set, in the shared cache.
+		// Callers should attach hookAccessCacheInvalidate to the authorities service and to every class with privilege_transit entries so that the shared cache does not go stale.
+		// Levels evaluated as of a specific timestamp are kept out of the shared cache.
+		// A call with a non-empty trail is part of a walk up privilege_transit, so it uses only settled levels and stores nothing.
+		// Two walks sharing the cache could otherwise each wait on the pending level of the other, and a level computed partway up a loop lacks what the loop cut off.
+		var security = this;
+		// The walk always runs with a request cache, which is also where it notes the query errors that keep its level out of the caches.
+		var nested = (trail instanceof Array && trail.length > 0);
+		var walk_cache = ((cache != null) ? cache : security.accessCacheCreate(null));
+		return security.accessCacheMemo(walk_cache, 'levels', [target_user, target_class, target_id, accessCacheStamp(timestamp)], function () {
+			return security.accessLevelSlow(target_user, target_class, target_id, walk_cache, null, timestamp, trail);
+		}, (timestamp != null), nested);
+	},
+	findByIds: function(target_class, key, values, extra_query) {
+		// This fetches all records of the class whose key field matches any of the values.
+		// It splits the values into batches of access_batch_size, so that the queries stay short, and pages through each batch with findAll,
+		// since several records may share a value and a batch may then match more records than a page holds.
+		var security = this;
+		var batch_size = ((typeof(security.access_batch_size) == 'number' && security.access_batch_size > 0) ? security.access_batch_size : 100);
+		var batches = [];
+		var bi;
+		for (bi = 0; bi < values.length; bi += batch_size) {
+			var query = {};
+			var qname;
+			for (qname in extra_query) query[qname] = extra_query[qname];
+			query[key] = {'$in': values.slice(bi, bi + batch_size)};
+			batches.push(security.findAll(target_class, query));
+		}
+		return Promise.all(batches).then(function (results) {
+			var rv = [];
+			results.forEach(function (res, r_ind, r_arr) { rv = rv.concat(res); });
+			return rv;
+		}, function (err) { return Promise.reject(err); });
+	},
+	whoCanAccess: function(target_class, target_id, minimum_bits) {
+		// This is the inverse of accessLevelSlowWithUser: it lists every user with access to the item.
+		// It walks privilege_transit upward from the item, collects the live authority records at each ancestor, and narrows them by the masks and non-transitive bits along the way.
+		// Administrators (per user_administrator_flag_name) are included with the administrator role.
+		// minimum_bits, if supplied, is a privilege specification (as accepted by privilegeBits), and only users holding all of those bits are returned.
+		// The result is an array, sorted by user, of {user_id, level, administrator, paths}.
+		// Each path is {authority_id, target_class, target_id, privilege, role, group_id, bits, conferred, via}, where via lists the records between the item and the authority target with the key followed out of each.
+		// A user-self-access path has self_access in place of authority_id, privilege, and role.
+		// A deny entry of a user on any record along a path (including both ends) strips its bits from what that path confers, and a path with nothing left is omitted.
+		var security = this;
+		var required = ((minimum_bits != null) ? security.privilegeBits(minimum_bits) : 0);
+		if (required == null) return Promise.reject(new Error("Unknown privilege."));
+		var cache = security.accessCacheCreate(null);
+		var users = {};
+		var pending = [];
+		var denials = {};
+		var confer = function (user_id, path, lookback) {
+			// We settle the paths after the walk, once the deny entries on every record are known.
+			pending.push({'user_id': user_id, 'path': path, 'records': Object.keys(lookback)});
+		};
+		var walk = function (curr_class, curr_id, path_mask, via, lookback) {
+			// lookback holds the records on the current path so that a loop in the links stops the walk.
+			var lookup_key = JSON.stringify([curr_class, curr_id]);
+			if (lookup_key in lookback) return Promise.resolve(0);
+			var next_lookback = {};
+			var lname;
+			for (lname in lookback) next_lookback[lname] = lookback[lname];
+			next_lookback[lookup_key] = 1;
+			if (curr_class == 'users' && 'user_self_access' in security && typeof(security.user_self_access) == 'number' && (security.user_self_access & path_mask))
+				confer(curr_id, {'self_access': security.user_self_access, 'target_class': curr_class, 'target_id': curr_id, 'bits': security.user_self_access, 'conferred': security.user_self_access & path_mask, 'via': via}, next_lookback);
+			var authp = security.findAll('authorities', {'target_class': curr_class, 'target_id': curr_id, 'destroyed_at': null}).then(function (rows) {
+				rows = rows.filter(function (auth) { return security.authorityIsLive(auth, null); });
+				// A grant to a group applies to every member of the group, including the members of nested groups.
+				return Promise.all(rows.map(function (auth) {
+					if ('user_id' in auth && auth['user_id'] != null) return [auth['user_id']];
+					if ('group_id' in auth && auth['group_id'] != null) return security.groupMembers(auth['group_id'], cache);
+					return [];
+				})).then(function (beneficiaries) {
+					rows.forEach(function (auth, a_ind, a_arr) {
+						var deny_bits = security.authorityDenyBits(auth);
+						var bits = security.authorityBits(auth);
+						beneficiaries[a_ind].forEach(function (user_id, u_ind, u_arr) {
+							if (deny_bits) {
+								if (!(lookup_key in denials)) denials[lookup_key] = {};
+								denials[lookup_key][user_id] = ((user_id in denials[lookup_key]) ? denials[lookup_key][user_id] : 0) | deny_bits;
+							}
+							if (!(bits & path_mask)) return;
+							confer(user_id, {'authority_id': auth[security.id_name], 'target_class': curr_class, 'target_id': curr_id,
+								'privilege': (('privilege' in auth) ? auth['privilege'] : null), 'role': (('role' in auth) ? auth['role'] : null),
+								'group_id': (('group_id' in auth) ? auth['group_id'] : null),
+								'bits': bits, 'conferred': bits & path_mask, 'via': via}, next_lookback);
+						});
+					});
+					return 0;
+				}, function (err) { return Promise.reject(err); });
+			}, function (err) { return Promise.reject(err); });
+			var parentp = security.getParents(curr_class, curr_id, cache).then(function (links) {
+				return Promise.all(links.map(function (link) {
+					// We continue past links that mask off every bit so that deny entries further up are still seen.
+					var next_mask = security.transitLevel(path_mask, link);
+					return walk(link['target_class'], link['target_id'], next_mask, via.concat([(('via' in link) ? {'target_class': curr_class, 'target_id': curr_id, 'key': link['key'], 'via': link['via']} : {'target_class': curr_class, 'target_id': curr_id, 'key': link['key']})]), next_lookback);
+				}));
+			}, function (err) { return Promise.reject(err); });
+			return Promise.all([authp, parentp]);
+		};
+		var adminp = Promise.resolve([]);
+		if ('user_administrator_flag_name' in security && typeof(security.user_administrator_flag_name) == 'string') {
+			var admin_query = {};
+			admin_query[security.user_administrator_flag_name] = {'$nin': [null, false, 0, '']};
+			adminp = security.findAll('users', admin_query);
+		}
+		// The item must exist, as in accessLevelSlow.
+		return security.getRecordCached(target_class, target_id, cache).then(function (rec) {
+			return Promise.all([walk(target_class, target_id, ~0, [], {}), adminp]);
+		}, function (err) { return Promise.reject(err); }).then(function (rv) {
+			var deniedOn = function (user_id, records) {
+				var denied = 0;
+				records.forEach(function (lookup_key, r_ind, r_arr) {
+					if (lookup_key in denials && user_id in denials[lookup_key]) denied |= denials[lookup_key][user_id];
+				});
+				return denied;
+			};
+			pending.forEach(function (entry, e_ind, e_arr) {
+				var denied = deniedOn(entry['user_id'], entry['records']);
+				if (denied) entry['path']['denied'] = denied;
+				entry['path']['conferred'] &= ~denied;
+				if (!entry['path']['conferred']) return;
+				if (!(entry['user_id'] in users)) users[entry['user_id']] = {'user_id': entry['user_id'], 'level': 0, 'administrator': false, 'paths': []};
+				users[entry['user_id']].level |= entry['path']['conferred'];
+				users[entry['user_id']].paths.push(entry['path']);
+			});
+			rv[1].forEach(function (uv, u_ind, u_arr) {
+				// We check the flag here as well, as in userIsAdministrator, since stores differ on how they match missing fields.
+				if (!(security.id_name in uv) || !uv[security.user_administrator_flag_name]) return;
+				if (!(uv[security.id_name] in users)) users[uv[security.id_name]] = {'user_id': uv[security.id_name], 'level': 0, 'administrator': false, 'paths': []};
+				users[uv[security.id_name]].administrator = true;
+				// With deny_overrides_administrator, the deny entries anywhere above the item apply, as in accessAdministratorBits.
+				users[uv[security.id_name]].level |= security.privilegeBits('administrator') & ~(security.deny_overrides_administrator ? deniedOn(uv[security.id_name], Object.keys(denials)) : 0);
+			});
+			return Object.keys(users).sort().map(function (uid) { return users[uid]; }).filter(function (entry) {
+				return entry.level != 0 && (entry.level & required) == required;
+			});
+		}, function (err) { return Promise.reject(err); });
+	},
+	findAll: function(target_class, query) {
+		// This pages through a find query in batches of access_batch_size and returns all of the matching records.
+		var security = this;
+		var batch_size = ((typeof(security.access_batch_size) == 'number' && security.access_batch_size > 0) ? security.access_batch_size : 100);
+		var rv = [];
+		var fetchPage = function (skip) {
+			var pquery = {};
+			var qname;
+			for (qname in query) pquery[qname] = query[qname];
+			pquery['$limit'] = batch_size;
+			pquery['$skip'] = skip;
+			return security.app.service(target_class).find({query: pquery}).then(function (res) {
+				// An unpaginated service honors $limit but gives no total, so a short page is the last one.
+				var page = ((res instanceof Array) ? res : res.data);
+				rv = rv.concat(page);
+				if (page.length > 0 && ((res instanceof Array) ? page.length >= batch_size : skip + page.length < res.total)) return fetchPage(skip + page.length);
+				return rv;
+			}, function (err) { return Promise.reject(err); });
+		};
+		return fetchPage(0);
+	},
+	schemaVersionStamp: function(target_class, data, keep) {
+		// This stamps the record (or each of an array of records) with the version of its class if the class is versioned.
+		// If keep is set, an existing stamp stays, as when internal code creates a record that it has already stamped.
+		var security = this;
+		var schema = security.data_schema[target_class];
+		if (!(schema instanceof Object) || typeof(schema.version) != 'number') return data;
+		if (data instanceof Array) {
+			data.forEach(function (record, r_ind, r_arr) { security.schemaVersionStamp(target_class, record, keep); });
+		} else if (data instanceof Object && !(keep && data[security.schema_version_field] != null)) {
+			data[security.schema_version_field] = schema.version;
+		}
+		return data;
+	},
+	migrateRecord: function(target_class, record) {
+		// This applies the migrations of the class to a copy of the record, from the version stamped on it up to the current version.
+		// It returns {record, from, to, changed}. A record stamped with a later version than the current one is left as it is.
+		// A value that coerce cannot convert stays as it is so that the type check in migrateClass reports it.
+		var security = this;
+		var schema = security.data_schema[target_class];
+		var vfield = security.schema_version_field;
+		var fname;
+		var output = {};
+		for (fname in record) output[fname] = record[fname];
+		if (!(schema instanceof Object) || typeof(schema.version) != 'number') return {'record': output, 'from': null, 'to': null, 'changed': 0};
+		var from = ((typeof(record[vfield]) == 'number') ? record[vfield] : 0);
+		if (from >= schema.version) return {'record': output, 'from': from, 'to': from, 'changed': 0};
+		var coerce = function (value, type) {
+			if (value == null) return value;
+			if (type == 'number') {
+				var nv = ((typeof(value) == 'string' && value.trim() == '') ? NaN : Number(value));
+				return (isNaN(nv) ? value : nv);
+			} else if (type == 'string') {
+				return ((value instanceof Date) ? value.toISOString() : String(value));
+			} else if (type == 'boolean') {
+				if (typeof(value) == 'string') {
+					if (['true', '1', 'yes', 'on'].indexOf(value.toLowerCase()) >= 0) return true;
+					if (['false', '0', 'no', 'off', ''].indexOf(value.toLowerCase()) >= 0) return false;
+					return value;
+				}
+				return !!value;
+			} else if (type == 'date') {
+				var dv = new Date(value);
+				return (isNaN(dv.getTime()) ? value : dv);
+			} else if (type == 'array') {
+				return ((value instanceof Array) ? value : [value]);
+			}
+			return value;
+		};
+		var copy = function (value) {
+			var vcopy = {};
+			var vname;
+			for (vname in value) vcopy[vname] = value[vname];
+			return vcopy;
+		};
+		var version;
+		for (version = from + 1; version <= schema.version; version++) {
+			if (!(schema.migrations instanceof Object) || !(schema.migrations[version] instanceof Array)) continue;
+			schema.migrations[version].forEach(function (step, s_ind, s_arr) {
+				if (step['op'] == 'add_default') {
+					if (output[step['field']] === undefined) {
+						// Arrays and objects are copied so that records do not share them.
+						if (step['value'] instanceof Array) output[step['field']] = step['value'].slice();
+						else if (step['value'] instanceof Object && !(step['value'] instanceof Date)) output[step['field']] = copy(step['value']);
+						else output[step['field']] = step['value'];
+					}
+				} else if (step['op'] == 'rename') {
+					if (step['from'] in output) {
+						output[step['to']] = output[step['from']];
+						delete output[step['from']];
+					}
+				} else if (step['op'] == 'split') {
+					var names = {};
+					if (step['fields'] instanceof Array) step['fields'].forEach(function (sname, n_ind, n_arr) { names[sname] = sname; });
+					else for (fname in step['fields']) names[fname] = step['fields'][fname];
+					var moved = {};
+					var mcount = 0;
+					for (fname in names) {
+						if (fname in output) {
+							moved[names[fname]] = output[fname];
+							delete output[fname];
+							mcount++;
+						}
+					}
+					if (mcount == 0) return;
+					// The moved fields join any submodel already there unless the submodel field was itself among them.
+					var target = ((output[step['into']] instanceof Object && !(output[step['into']] instanceof Array)) ? copy(output[step['into']]) : {});
+					for (fname in moved) target[fname] = moved[fname];
+					output[step['into']] = target;
+				} else if (step['op'] == 'coerce') {
+					if (step['field'] in output) output[step['field']] = coerce(output[step['field']], step['type']);
+				} else {
+					throw new Error("Unknown migration step " + step['op'] + ".");
+				}
+			});
+		}
+		output[vfield] = schema.version;
+		return {'record': output, 'from': from, 'to': schema.version, 'changed': 1};
+	},
+	migrateClass: function(target_class, options) {
+		// This brings the records of a versioned class up to date through its service, paging by id in batches of access_batch_size (or options.batch_size).
+		// Each migrated record is checked as hookPatchOverlayPreflight would check it on its next write, with its unwritable fields set aside, and is written back with update only if it passes.
+		// options.dry_run skips the writes, so that the report shows which records would fail checkTypesNested after the migration.
+		// options.cursor resumes after the record with that id, and options.max_batches stops after that many batches.
+		// This resolves to {scanned, migrated, current, failed, cursor, done}, where failed lists {id, from, message, errors} with errors keyed as by validationCollector.
+		// Overlay records are not read or written, so the steps should touch only base fields of an overlaid class.
+		var security = this;
+		var opts = ((options instanceof Object) ? options : {});
+		var schema = security.data_schema[target_class];
+		if (!(schema instanceof Object) || typeof(schema.version) != 'number') return Promise.reject(new Error("The class " + target_class + " is not versioned."));
+		var batch_size = ((typeof(opts.batch_size) == 'number' && opts.batch_size > 0) ? opts.batch_size :
+				((typeof(security.access_batch_size) == 'number' && security.access_batch_size > 0) ? security.access_batch_size : 100));
+		var report = {'scanned': 0, 'migrated': 0, 'current': 0, 'failed': [], 'cursor': (('cursor' in opts) ? opts.cursor : null), 'done': 0};
+		var checkRecord = function (record) {
+			// This resolves to null if the record passes and to the failure otherwise.
+			// As in hookPatchOverlayPreflight, the unwritable fields go into the stand-in for the original.
+			var future = {};
+			var future_original = security.recordIdStub(record[security.id_name]);
+			var tfield;
+			for (tfield in record) {
+				if (!(tfield in schema.fields && 'is_user_writable' in schema.fields[tfield] && schema.fields[tfield]['is_user_writable'] == 0)) future[tfield] = record[tfield];
+				else future_original[tfield] = record[tfield];
+			}
+			return security.checkTypesNested(schema, future, 1, 1, null, 1, 'update', future_original, 0, {}, {'errors': {}, 'path': []}).then(function () { return null; }, function (err) {
+				return {'message': ((err instanceof Error) ? err.message : String(err)), 'errors': ((err instanceof Object && err.errors instanceof Object) ? err.errors : null)};
+			});
+		};
+		var migrateBatch = function (batches) {
+			if (typeof(opts.max_batches) == 'number' && batches >= opts.max_batches) return Promise.resolve(report);
+			var query = {'$limit': batch_size, '$sort': {}};
+			query['$sort'][security.id_name] = 1;
+			if (report.cursor != null) query[security.id_name] = {'$gt': report.cursor};
+			return security.app.service(target_class).find({query: query}).then(function (res) {
+				var records = ((res instanceof Array) ? res : res.data);
+				return Promise.all(records.map(function (record, r_ind, r_arr) {
+					var migration = security.migrateRecord(target_class, record);
+					if (!migration.changed) {
+						report.current++;
+						return null;
+					}
+					return checkRecord(migration.record).then(function (failure) {
+						if (failure != null) {
+							failure.id = record[security.id_name];
+							failure.from = migration.from;
+							report.failed.push(failure);
+							return null;
+						}
+						report.migrated++;
+						if (opts.dry_run) return null;
+						return security.app.service(target_class).update(record[security.id_name], migration.record);
+					}, function (err) { return Promise.reject(err); });
+				})).then(function () {
+					report.scanned += records.length;
+					if (records.length > 0) report.cursor = records[records.length - 1][security.id_name];
+					// The service may cap a page below batch_size, so a short batch need not be the last one.
+					// The total of a paginated service counts the records past the cursor, and an unpaginated service ends with an empty batch.
+					if (records.length == 0 || (!(res instanceof Array) && records.length >= res.total)) {
+						report.done = 1;
+						return report;
+					}
+					return migrateBatch(batches + 1);
+				}, function (err) { return Promise.reject(err); });
+			}, function (err) { return Promise.reject(err); });
+		};
+		return migrateBatch(0);
+	},
+	accessLevelMany: function(target_user, target_class, target_ids, cache, timestamp, depth, trails) {
+		// This is a batched accessLevelSlow.
+		// It resolves the levels of the user on all of the specified records of one class with one authorities query for the records
+		// and one query per parent class at each step up privilege_transit.
+		// It returns a dictionary from id to level. Missing records get 0.
+		// If a cache is supplied, the resolved levels are stored in it for later single lookups.
+		// If a timestamp is supplied, authority records are evaluated as of that time.
+		// trails, on the steps up, maps each id to the records below it on the way up, keyed by JSON [class, id] as in accessLevelSlow,
+		// so that a link back to one of them confers nothing and a loop in the data stops rather than being followed.
+		var security = this;
+		var ids = [];
+		var levels = {};
+		target_ids.forEach(function (tid, t_ind, t_arr) {
+			if (tid != null && !(tid in levels)) {
+				levels[tid] = 0;
+				ids.push(tid);
+			}
+		});
+		if (ids.length == 0) return Promise.resolve(levels);
+		// depth counts the steps up privilege_transit from the original records, and privilege_transit_max_depth bounds it as in accessLevelSlow.
+		var max_depth = ((typeof(security.privilege_transit_max_depth) == 'number' && security.privilege_transit_max_depth > 0) ? security.privilege_transit_max_depth : 64);
+		var curr_depth = ((typeof(depth) == 'number') ? depth : 0);
+		var curr_trails = ((trails instanceof Object) ? trails : {});
+		var failures = ((cache instanceof Object) ? cache.failures : null);
+		if (curr_depth > max_depth) return Promise.resolve(levels);
+		var recp = security.findByIds(target_class, security.id_name, ids, {});
+		if (timestamp != null && target_class in security.data_schema && security.data_schema[target_class].overlay_name) recp = recp.then(function (rows) {
+			return Promise.all(rows.map(function (rec) { return security.attachOverlayAt(target_class, rec, timestamp); }));
+		}, function (err) { return Promise.reject(err); });
+		var authp = security.findAuthorities(target_user, target_class, ids, cache, timestamp);
+		var joinedp = recp.then(function (rows) { return security.getJoinedParents(target_class, rows); }, function (err) { return Promise.reject(err); });
+		return Promise.all([recp, authp, joinedp]).then(function (results) {
+			var records = {};
+			results[0].forEach(function (rec, r_ind, r_arr) {
+				if (security.id_name in rec && rec[security.id_name] in levels) records[rec[security.id_name]] = rec;
+			});
+			// If the target_class is user and there is a defined self-access level, add it.
+			if (target_class == 'users' && 'user_self_access' in security && typeof(security.user_self_access) == 'number' && target_user in records)
+				levels[target_user] |= security.user_self_access;
+			var denied = {};
+			results[1].forEach(function (auth, a_ind, a_arr) {
+				if ('target_id' in auth && auth['target_id'] in records && security.authorityIsLive(auth, timestamp)) {
+					levels[auth['target_id']] |= security.authorityBits(auth);
+					denied[auth['target_id']] = ((auth['target_id'] in denied) ? denied[auth['target_id']] : 0) | security.authorityDenyBits(auth);
+				}
+			});
+			// Group the parent links by class so that each parent class takes one batch.
+			// A parent reached from several records keeps only the records below it on every one of their ways up, so that none of them loses a parent that is not in its own loop.
+			var links = {};
+			var parent_ids = {};
+			var parent_trails = {};
+			ids.forEach(function (tid, t_ind, t_arr) {
+				if (!(tid in records)) return;
+				var below = {};
+				var bname;
+				if (tid in curr_trails) for (bname in curr_trails[tid]) below[bname] = 1;
+				below[JSON.stringify([target_class, tid])] = 1;
+				links[tid] = security.getParentsFromRecord(target_class, records[tid]).concat((tid in results[2]) ? results[2][tid] : []).filter(function (link) {
+					return !(JSON.stringify([link['target_class'], link['target_id']]) in below);
+				});
+				links[tid].forEach(function (link, l_ind, l_arr) {
+					var pclass = link['target_class'];
+					if (!(pclass in parent_ids)) {
+						parent_ids[pclass] = [];
+						parent_trails[pclass] = {};
+					}
+					if (parent_ids[pclass].indexOf(link['target_id']) < 0) {
+						parent_ids[pclass].push(link['target_id']);
+						parent_trails[pclass][link['target_id']] = below;
+					} else {
+						var shared = {};
+						for (bname in parent_trails[pclass][link['target_id']]) if (bname in below) shared[bname] = 1;
+						parent_trails[pclass][link['target_id']] = shared;
+					}
+				});
+			});
+			var parent_classes = Object.keys(parent_ids);
+			return Promise.all(parent_classes.map(function (pclass) {
+				return security.accessLevelMany(target_user, pclass, parent_ids[pclass], cache, timestamp, curr_depth + 1, parent_trails[pclass]);
+			})).then(function (parent_levels) {
+				var by_class = {};
+				parent_classes.forEach(function (pclass, p_ind, p_arr) { by_class[pclass] = parent_levels[p_ind]; });
+				ids.forEach(function (tid, t_ind, t_arr) {
+					if (!(tid in links)) return;
+					links[tid].forEach(function (link, l_ind, l_arr) {
+						var plevel = by_class[link['target_class']][link['target_id']];
+						if (plevel) levels[tid] |= security.transitLevel(plevel, link);
+					});
+					if (tid in denied) levels[tid] &= ~denied[tid];
+					// Only the original records have complete levels, since the depth limit may have cut off the walk above their ancestors.
+					// Levels resting on a failed query further up are not memoized either.
+					if (cache != null && curr_depth == 0 && cache.failures === failures) security.accessCacheMemo(cache, 'levels', [target_user, target_class, tid, accessCacheStamp(timestamp)], function () { return Promise.resolve(levels[tid]); }, (timestamp != null));
+				});
+				return levels;
+			}, function (err) { return Promise.reject(err); });
+		}, function(err) {console.error('Query error in accessLevelMany.', err); security.accessCacheFailed(cache); return levels;});
+	},
+	accessLevelManyWithUser: function(target_user, target_class, target_ids, cache, timestamp) {
+		// This is accessLevelMany with the administrator override from accessLevelSlowWithUser.
+		var security = this;
+		return Promise.all([security.userIsAdministrator(target_user, cache, timestamp), security.accessLevelMany(target_user, target_class, target_ids, cache, timestamp)]).then(
+			function (rv) {
+				var tids = Object.keys(rv[1]);
+				return Promise.all(tids.map(function (tid) {
+					return security.accessAdministratorBits(rv[0], target_user, target_class, tid, cache, timestamp);
+				})).then(function (admin_bits) {
+					tids.forEach(function (tid, t_ind, t_arr) { rv[1][tid] |= admin_bits[t_ind]; });
+					return rv[1];
+				}, function (err) { return Promise.reject(err); });
+			},
+			function (err) { return Promise.reject(err); }
+		);
+	},
+	reachableLevels: function(target_user, target_class, auth_by_class) {
+		// This lists every record of the class on which the user holds a nonzero level, directly or through privilege_transit.
+		// It returns a dictionary from the id as a string to {id, level}, where id keeps the original value (a number or an ObjectId, say) for queries.
+		// auth_by_class holds the authority records of the user grouped by target_class (see reachableAuthorities).
+		// It works down from the records that the authority records name, a step of privilege_transit at a time, over target_class and the classes that it inherits from.
+		// Each step expands the records whose levels have changed since they were last expanded, tracked by class and id, so a loop in the data or a class linking to itself ends,
+		// and it stops after privilege_transit_max_depth steps, as accessLevelSlow does.
 		var security = this;
-		return this.app.service('authorities').get(target_id).then(function (tr) {
-			// console.log("We found the authority record.");
-			if ('target_class' in tr && 'target_id' in tr &&
-					security.validateText('max:255|alpha_dash', tr['target_class']) >= 0 &&
-					(!('validation' in security.data_schema[tr['target_class']].fields[security.id_name])) || security.validateText(security.data_schema[tr['target_class']].fields[security.id_name]['validation'], tr['target_id']) >= 0) {
-				// Now we check the permissions on that target.
-				return (security.accessLevelSlow(target_user, tr['target_class'], tr['target_id']).then(function (x) {
-					if ((x & 8) > 0) {
-						return 0;
-					} else {
-						return -1;
+		var max_depth = ((typeof(security.privilege_transit_max_depth) == 'number' && security.privilege_transit_max_depth > 0) ? security.privilege_transit_max_depth : 64);
+		var classes = [target_class];
+		var ci;
+		for (ci = 0; ci < classes.length; ci++) {
+			if (classes[ci] in security.privilege_transit) security.privilege_transit[classes[ci]].forEach(function (link, l_ind, l_arr) {
+				if (classes.indexOf(link['class']) < 0) classes.push(link['class']);
+			});
+		}
+		var levels = {};
+		var denied = {};
+		classes.forEach(function (cname, c_ind, c_arr) {
+			levels[cname] = {};
+			denied[cname] = {};
+			if (cname == 'users' && 'user_self_access' in security && typeof(security.user_self_access) == 'number')
+				reachableLevelAdd(levels[cname], target_user, security.user_self_access);
+			if (cname in auth_by_class) auth_by_class[cname].forEach(function (auth, a_ind, a_arr) {
+				var bits = security.authorityBits(auth);
+				var deny_bits = security.authorityDenyBits(auth);
+				if (bits) reachableLevelAdd(levels[cname], auth['target_id'], bits);
+				if (deny_bits) denied[cname][String(auth['target_id'])] = ((String(auth['target_id']) in denied[cname]) ? denied[cname][String(auth['target_id'])] : 0) | deny_bits;
+			});
+		});
+		var effective = function (cname, key) {
+			// Deny entries strip bits after everything else, as in accessLevelSlow, so they also stop flowing to the children.
+			if (!(key in levels[cname])) return 0;
+			return levels[cname][key].level & ~((key in denied[cname]) ? denied[cname][key] : 0);
+		};
+		var expanded = {};
+		var step = function (depth) {
+			var fresh = {};
+			var pending = 0;
+			classes.forEach(function (cname, c_ind, c_arr) {
+				fresh[cname] = [];
+				var key;
+				for (key in levels[cname]) {
+					var here = JSON.stringify([cname, key]);
+					var level = effective(cname, key);
+					if (level && expanded[here] !== level) {
+						expanded[here] = level;
+						fresh[cname].push(levels[cname][key].id);
+						pending = 1;
 					}
-				}));
-			} else {
-				// console.log("The reference breaks the rules.");
-				return Promise.resolve(-1);
+				}
+			});
+			if (!pending || depth >= max_depth) return Promise.resolve(null);
+			var fetches = [];
+			classes.forEach(function (child_class, c_ind, c_arr) {
+				if (!(child_class in security.privilege_transit)) return;
+				security.privilege_transit[child_class].forEach(function (link, l_ind, l_arr) {
+					if (fresh[link['class']].length == 0) return;
+					fetches.push(security.reachableChildren(child_class, link, fresh[link['class']]).then(function (children) {
+						children.forEach(function (child, ch_ind, ch_arr) {
+							// A child may have several parents, so it gets the union of what they confer.
+							if ('when' in link && link['when'] != null && !recordMatchesQuery(child.record, link['when'])) return;
+							var bits = 0;
+							child.parents.forEach(function (pv, v_ind, v_arr) {
+								if (pv != null) bits |= security.transitLevel(effective(link['class'], String(pv)), link);
+							});
+							if (bits) reachableLevelAdd(levels[child_class], child.record[security.id_name], bits);
+						});
+					}, function (err) { return Promise.reject(err); }));
+				});
+			});
+			return Promise.all(fetches).then(function () { return step(depth + 1); }, function (err) { return Promise.reject(err); });
+		};
+		return step(0).then(function () {
+			var out = {};
+			var key;
+			for (key in levels[target_class]) {
+				var level = effective(target_class, key);
+				if (level) out[key] = {'id': levels[target_class][key].id, 'level': level};
 			}
-		}, function(err) { /* console.log("Something wrong!", err); */ return Promise.resolve(-1); });
+			return out;
+		}, function (err) { return Promise.reject(err); });
 	},
-	checkRecursiveDocumentDepth: function(target_class, doc_id, reference_name, lookback, trail) {
-		// With ES6, perhaps we can use default arguments.
-		// reference_name = 'base_id', lookback = {}
-		// This confirms the validity and non-loopiness of the document reference chain.
-		if (doc_id in lookback && lookback[doc_id]) return -2; // This means that we have a loop.
-		if (Object.keys(lookback).length >= 0xFFFF) return -3; // This means that the chain is dangerously long.
-		var qresult1p = this.app.service(target_class).get(doc_id); // Get the record that we want to check.
+	reachableChildren: function(child_class, link, parent_ids) {
+		// This fetches the records of child_class that the transit entry link ties to any of the parents and returns a list of {record, parents}, where parents lists the parent ids of the record through the entry.
+		// For an entry through a join service, the parents come from the join rows, and only those of the rows naming the specified parents are listed.
 		var security = this;
-		return qresult1p.then(function (curr_entity) {
-			lookback[doc_id] = 1;
-			if (trail != null) trail.push(doc_id);
-			if (reference_name in curr_entity && typeof(curr_entity[reference_name]) == 'string' && curr_entity[reference_name] != '') {
-				// If the chain continues, we attach another promise to this one.
-				return security.checkRecursiveDocumentDepth(target_class, curr_entity[reference_name], reference_name, lookback, trail).then(function (tmpv) {
-					if (tmpv < 0) return Promise.resolve(tmpv);
-					return Promise.resolve(tmpv + 1);
-				}, function(err) {console.error('Query error in checkSaleDocumentDepth.', err); return Promise.resolve(-1);});
-			}
-			return Promise.resolve(0);
-		}, function(err) {console.error('Query error in checkSaleDocumentDepth.', err); return Promise.resolve(-1);});
+		if (!('via' in link && link['via'] != null)) {
+			return security.findByIds(child_class, link['key'], parent_ids, {}).then(function (records) {
+				return records.map(function (rec) { return {'record': rec, 'parents': [].concat(rec[link['key']])}; });
+			}, function (err) { return Promise.reject(err); });
+		}
+		return security.findByIds(link['via'], link['to'], parent_ids, {}).then(function (rows) {
+			// The join rows may hold the ids in another form (a string for an ObjectId, say), so ids are compared as strings but queried as found.
+			var parents_of = {};
+			rows.forEach(function (row, j_ind, j_arr) {
+				if (row[link['from']] == null) return;
+				var ckey = String(row[link['from']]);
+				if (!(ckey in parents_of)) parents_of[ckey] = {'id': row[link['from']], 'parents': []};
+				parents_of[ckey].parents = parents_of[ckey].parents.concat(row[link['to']]);
+			});
+			var child_ids = Object.keys(parents_of).map(function (ckey) { return parents_of[ckey].id; });
+			if (child_ids.length == 0) return [];
+			return security.findByIds(child_class, security.id_name, child_ids, {}).then(function (records) {
+				return records.filter(function (rec) { return String(rec[security.id_name]) in parents_of; }).map(function (rec) {
+					return {'record': rec, 'parents': parents_of[String(rec[security.id_name])].parents};
+				});
+			}, function (err) { return Promise.reject(err); });
+		}, function (err) { return Promise.reject(err); });
 	},
-	getDocumentStack: function(target_class, doc_id, reference_name) {
-		var ds = [];
-		var lb = {};
+	reachableLinkClause: function(target_user, child_class, link, auth_by_class) {
+		// This finds the parents through which the transit entry of child_class confers read access and returns the matching query clause, or null if there are none.
+		// For an entry through a join service, the children are found in the join service first, and the clause names them by id.
 		var security = this;
-		return security.checkRecursiveDocumentDepth(target_class, doc_id, reference_name, lb, ds).then(function () {
-			// console.log(ds);
-			return Promise.resolve(ds);
-		}, function (err) { return Promise.reject(err); } );
+		return security.reachableLevels(target_user, link['class'], auth_by_class).then(function (parent_levels) {
+			var readable_ids = [];
+			var readable_keys = {};
+			var pkey;
+			for (pkey in parent_levels) {
+				if (security.privilegeCheck(security.transitLevel(parent_levels[pkey].level, link), 'read')) {
+					readable_ids.push(parent_levels[pkey].id);
+					readable_keys[pkey] = 1;
+				}
+			}
+			var conditional = function (key_clause) {
+				// A conditional link transmits only to the children that match its predicate.
+				return (('when' in link && link['when'] != null) ? queryConjoinAlternatives(link['when'], [key_clause]) : key_clause);
+			};
+			if (readable_ids.length == 0) return null;
+			if ('via' in link && link['via'] != null) {
+				return security.findByIds(link['via'], link['to'], readable_ids, {}).then(function (rows) {
+					// The join rows may hold the ids in another form, so ids are compared as strings but queried as found.
+					var readable_children = [];
+					var seen = {};
+					rows.forEach(function (row, j_ind, j_arr) {
+						if (row[link['from']] == null || String(row[link['from']]) in seen) return;
+						if (![].concat(row[link['to']]).some(function (pv) { return (pv != null && String(pv) in readable_keys); })) return;
+						seen[String(row[link['from']])] = 1;
+						readable_children.push(row[link['from']]);
+					});
+					if (readable_children.length == 0) return null;
+					var key_clause = {};
+					key_clause[security.id_name] = {'$in': readable_children};
+					return conditional(key_clause);
+				}, function (err) { return Promise.reject(err); });
+			}
+			var key_clause = {};
+			key_clause[link['key']] = {'$in': readable_ids};
+			return conditional(key_clause);
+		}, function (err) { return Promise.reject(err); });
 	},
-	getDocumentBase: function(target_class, doc_id, reference_name) {
-		var ds = [];
+	reachableAuthorities: function(target_user, timestamp) {
+		// This fetches all live authority records of the user and of the user's groups (as of the timestamp, if supplied) and groups them by target_class.
 		var security = this;
-		return security.checkRecursiveDocumentDepth(target_class, doc_id, reference_name, ds).then(function () { return ds[ds.length - 1]; },
-		function (err) { return Promise.reject(err); } );
+		return security.findAuthorities(target_user, null, null, null, timestamp).then(function (rows) {
+			var auth_by_class = {};
+			rows.forEach(function (auth, a_ind, a_arr) {
+				if (!('target_class' in auth) || !security.authorityIsLive(auth, timestamp)) return;
+				if (!(auth['target_class'] in auth_by_class)) auth_by_class[auth['target_class']] = [];
+				auth_by_class[auth['target_class']].push(auth);
+			});
+			return auth_by_class;
+		}, function (err) { return Promise.reject(err); });
 	},
-	getParents: function(target_class, target_id) {
-		if (target_class in this.privilege_transit) {
-			// Get the current record so that we can check for upstream links.
-			var qresult2p = this.app.service(target_class).get(target_id); // TODO: Change to let.
-			var security = this;
-			return qresult2p.then(function (curr_entity) {
-				var rv = []; // TODO: Change to let.
-				// Iterate through all privilege transit entries for the current class.
-				security.privilege_transit[target_class].forEach( function (currentValue, index, array) {
-					// If there is a link in the current record to a record from a higher-order-privilege class, we add the corresponding class and identifier.
-					if (currentValue['key'] in curr_entity && curr_entity[currentValue['key']] != null) {
-						if ('mask' in currentValue) {
-							rv.push({'target_class': currentValue['class'], 'target_id': curr_entity[currentValue['key']], 'mask': currentValue['mask']});
-						} else {
-							rv.push({'target_class': currentValue['class'], 'target_id': curr_entity[currentValue['key']]});
-						}
-					}
+	reachableQuery: function(target_user, target_class, timestamp) {
+		// This builds a query clause that matches exactly the records of the class that the user can read, directly or through privilege_transit.
+		// It returns null if the user is an administrator (and thus needs no constraint).
+		var security = this;
+		return security.userIsAdministrator(target_user, null, timestamp).then(function (is_admin) {
+			if (is_admin) return null;
+			return security.reachableAuthorities(target_user, timestamp).then(function (auth_by_class) {
+				// Records of the class with deny entries are checked individually, and those left unreadable are excluded from every clause.
+				var denied_ids = [];
+				if (target_class in auth_by_class) auth_by_class[target_class].forEach(function (auth, a_ind, a_arr) {
+					if (security.authorityDenyBits(auth) && denied_ids.indexOf(auth['target_id']) < 0) denied_ids.push(auth['target_id']);
 				});
-				// console.log(rv);
-				return rv;
-			}, function(err) {console.error('Query error in getParents.', err); return [];});
-		}
-		return Promise.resolve([]);
+				var deniedp = ((denied_ids.length > 0) ? security.accessLevelMany(target_user, target_class, denied_ids, null, timestamp).then(function (levels) {
+					return denied_ids.filter(function (tid) { return !security.privilegeCheck(levels[tid], 'read'); });
+				}, function (err) { return Promise.reject(err); }) : Promise.resolve([]));
+				return deniedp.then(function (excluded_ids) {
+					return security.reachableClauses(target_user, target_class, auth_by_class, excluded_ids);
+				}, function (err) { return Promise.reject(err); });
+			}, function (err) { return Promise.reject(err); });
+		}, function (err) { return Promise.reject(err); });
 	},
-	accessLevelSlow: function(target_user, target_class, target_id) {
-		// This searches for direct and indirect authority links and returns the bitwise maximum authority that the specified user has over the specified item.
+	reachableClauses: function(target_user, target_class, auth_by_class, excluded_ids) {
+		// This builds the alternatives for reachableQuery, leaving out the records listed in excluded_ids.
 		var security = this;
-		// We also want to be sure that the record actually exists.
-		var p0 = this.app.service(target_class).get(target_id).then(function (rec) { return 0; },
-		function (err) { return Promise.reject(err); });
-		// let searchParams = {user: target_user, target: target_id, '$sort': {destroyed_at: -1}};
-		var searchParams = {'user_id': target_user, 'target_class': target_class, 'target_id': target_id, destroy_date: null};  // TODO: Change to let.
-		// console.log("Query.", searchParams);
-		var qresult1p = this.app.service('authorities').find({query: searchParams});  // TODO: Change to let.
-		// Iterate through all relevant authority records for this uuid pair and find maximum privilege.
-		var p1 = qresult1p.then(function (curr_auth) {
-			var maxacc1 = 0;  // TODO: Change to let.
-			// If the target_class is user and the id matches and there is a defined self-access level, add it.
-			if (target_class == 'users' && 'user_self_access' in security && typeof(security.user_self_access) == 'number' && target_id == target_user)
-				maxacc1 |= security.user_self_access;
-			// console.log("Queried.");
-			// console.log(curr_auth);
-			if ('data' in curr_auth) curr_auth['data'].forEach( function (currentValue, index, array) {
-				// console.log("Result.", currentValue);
-				if ('privilege' in currentValue && (typeof(currentValue['privilege']) == 'number')) {
-					maxacc1 |= currentValue['privilege'];
+		var clauses = [];
+		// Direct grants on records of the class confer read access without any transit, so the non-transitive bit counts here.
+		var direct_ids = [];
+		if (target_class == 'users' && 'user_self_access' in security && typeof(security.user_self_access) == 'number' && security.privilegeCheck(security.user_self_access, 'read'))
+			direct_ids.push(target_user);
+		if (target_class in auth_by_class) {
+			auth_by_class[target_class].forEach(function (auth, a_ind, a_arr) {
+				if (security.privilegeCheck(security.authorityBits(auth), 'read') && direct_ids.indexOf(auth['target_id']) < 0) direct_ids.push(auth['target_id']);
+			});
+		}
+		direct_ids = direct_ids.filter(function (tid) { return excluded_ids.indexOf(tid) < 0; });
+		if (direct_ids.length > 0) {
+			var direct_clause = {};
+			direct_clause[security.id_name] = {'$in': direct_ids};
+			clauses.push(direct_clause);
+		}
+		var links = ((target_class in security.privilege_transit) ? security.privilege_transit[target_class] : []);
+		return Promise.all(links.map(function (link) {
+			return security.reachableLinkClause(target_user, target_class, link, auth_by_class);
+		})).then(function (link_clauses) {
+			link_clauses.forEach(function (clause, c_ind, c_arr) {
+				if (clause == null) return;
+				if (excluded_ids.length > 0) {
+					// A clause for a join service already constrains the id, so the exclusion is conjoined rather than assigned over it.
+					var exclusion = {};
+					exclusion[security.id_name] = {'$nin': excluded_ids};
+					clause = queryConjoinAlternatives(exclusion, [clause]);
 				}
+				clauses.push(clause);
 			});
-			return maxacc1;
-		}, function(err) {console.error('Query error in accessLevelSlow.', err); return 0;});
-		// But we are not done. These privileges are also transitive, so we check higher order privileges.
-		var p2 = this.getParents(target_class, target_id).then(function (target_parents) {
-			// Iterate through all privilege transit entries for the current class.
-			var parent_promises = [];
-			target_parents.forEach(function (currentValue, index, array) {
-				// If there is a link in the current record to a record from a higher-order-privilege class, we note that parent so that we can compute privileges against that item.
-				parent_promises.push(security.accessLevelSlow(target_user, currentValue['target_class'], currentValue['target_id']));
+			return clauses;
+		}, function (err) { return Promise.reject(err); });
+	},
+	reachableFindQuery: function(target_user, target_class, query, timestamp) {
+		// This returns a copy of the find query constrained to the records of the class that the user can read (see reachableQuery).
+		var security = this;
+		return security.reachableQuery(target_user, target_class, timestamp).then(function (clauses) {
+			if (clauses == null) {
+				// Administrators need no constraint.
+				var out = {};
+				var qname;
+				for (qname in query) out[qname] = query[qname];
+				return out;
+			}
+			if (clauses.length == 0) {
+				// Nothing is reachable, so we match nothing.
+				var none = {};
+				none[security.id_name] = {'$in': []};
+				clauses.push(none);
+			}
+			return queryConjoinAlternatives(query, clauses);
+		}, function (err) { return Promise.reject(err); });
+	},
+	reachablePage: function(target_user, target_class, query, skip, limit, cache, timestamp) {
+		// This fetches one page of a query from reachableFindQuery, sorted by id, and resolves the level of each record on it.
+		// It returns {total, limit, skip, data}, where data holds {target_id, level} entries.
+		// An unpaginated service returns the page as an array without a count, so total is then null.
+		var security = this;
+		var pquery = {};
+		var qname;
+		for (qname in query) pquery[qname] = query[qname];
+		pquery['$sort'] = {};
+		pquery['$sort'][security.id_name] = 1;
+		pquery['$skip'] = skip;
+		pquery['$limit'] = limit;
+		return security.app.service(target_class).find({query: pquery}).then(function (res) {
+			var rows = ((res instanceof Array) ? res : res.data);
+			var total = ((res instanceof Array) ? null : res.total);
+			var ids = rows.map(function (rec) { return rec[security.id_name]; });
+			return security.accessLevelManyWithUser(target_user, target_class, ids, cache, timestamp).then(function (levels) {
+				return {'total': total, 'limit': limit, 'skip': skip, 'data': ids.map(function (tid) { return {'target_id': tid, 'level': levels[tid]}; })};
+			}, function (err) { return Promise.reject(err); });
+		}, function (err) { return Promise.reject(err); });
+	},
+	listReachable: function(target_user, target_class, skip, limit, timestamp) {
+		// This lists the records of the class that the user can read, directly or through privilege_transit, with their effective levels.
+		// It returns a page like a paginated find, {total, limit, skip, data}, where data holds {target_id, level} entries sorted by id.
+		// total is null if the service is unpaginated, as reachablePage explains.
+		// limit defaults to access_batch_size.
+		var security = this;
+		var page_skip = ((typeof(skip) == 'number' && skip > 0) ? skip : 0);
+		var page_limit = ((typeof(limit) == 'number' && limit > 0) ? limit : ((typeof(security.access_batch_size) == 'number' && security.access_batch_size > 0) ? security.access_batch_size : 100));
+		return security.reachableFindQuery(target_user, target_class, {}, timestamp).then(function (query) {
+			return security.reachablePage(target_user, target_class, query, page_skip, page_limit, security.accessCacheCreate(null), timestamp);
+		}, function (err) { return Promise.reject(err); });
+	},
+	streamReachable: function(target_user, target_class, timestamp) {
+		// This is listReachable as an object-mode Readable stream of {target_id, level} entries, for exports.
+		// It fetches a page of access_batch_size records whenever the consumer wants more.
+		var security = this;
+		var page_limit = ((typeof(security.access_batch_size) == 'number' && security.access_batch_size > 0) ? security.access_batch_size : 100);
+		var cache = security.accessCacheCreate(null);
+		var queryp = null;
+		var skip = 0;
+		var busy = 0;
+		var out = new stream.Readable({objectMode: true, read: function () {
+			if (busy) return;
+			busy = 1;
+			if (queryp == null) queryp = security.reachableFindQuery(target_user, target_class, {}, timestamp);
+			queryp.then(function (query) {
+				return security.reachablePage(target_user, target_class, query, skip, page_limit, cache, timestamp);
+			}, function (err) { return Promise.reject(err); }).then(function (page) {
+				busy = 0;
+				skip += page.data.length;
+				page.data.forEach(function (entry, e_ind, e_arr) { out.push(entry); });
+				// Without a total, a short page is the last one.
+				if (page.data.length == 0 || ((page.total != null) ? skip >= page.total : page.data.length < page_limit)) out.push(null);
+			}, function (err) {
+				busy = 0;
+				out.destroy(err);
 			});
-			var parent_join = Promise.all(parent_promises);
-			return parent_join.then(function (parent_levels) {
-				// For each parent, we resolve the privilege level and add it (bitwise) to the accumulator.
-				var parent_max_acc = 0; // TODO: Change to let.
-				parent_levels.forEach(function (currentValue, index, array) {
-					var tmp = currentValue;
-					tmp &= ~1; // We drop the lowest bit, as it is non-transitive.
-					if ('mask' in target_parents[index]) tmp &= target_parents[index].mask; // We apply a transit mask.
-					parent_max_acc |= (currentValue & ~1); // We add the privilege for this parent to the accumulator.
-				});
-				return parent_max_acc;
-			}, function(err) {console.error('Query error in accessLevelSlow.', err); return 0;});
-		}, function(err) {console.error('Query error in accessLevelSlow.', err); return 0;});
-		// Now we combine the results of the immediate and parent privilege computations.
-		var acc_join = Promise.all([p0, p1, p2]);
-		return acc_join.then(function (parent_levels) {
-			var parent_max_acc = 0; // TODO: Change to let.
-			parent_levels.forEach(function (currentValue, index, array) { parent_max_acc |= currentValue; });
-			// console.log("Access level:", parent_max_acc);
-			return parent_max_acc;
-		}, function(err) {console.error('Query error in accessLevelSlow.', err); return 0;});
+		}});
+		return out;
 	},
-	userIsAdministrator: function(target_user) {
+	userIsAdministrator: function(target_user, cache, timestamp) {
 		// console.log("Checking whether", target_user, "is administrator.");
+		// If a timestamp is supplied, this checks the user record as it stood at that time.
 		if (target_user == null) return Promise.resolve(1);
 		var security = this;
+		if (cache != null) {
+			return security.accessCacheMemo(cache, 'administrators', [target_user, accessCacheStamp(timestamp)], function () {
+				return security.userIsAdministrator(target_user, null, timestamp);
+			}, (timestamp != null));
+		}
 		// If there is an administrator flag, check the user to see whether he has it.
 		if ('user_administrator_flag_name' in security && typeof(security.user_administrator_flag_name) == 'string') {
-			var uresult1p = security.app.service('users').get(target_user, {query: (('users' in security.data_schema && 'overlay_name' in security.data_schema['users']) ? {'$overlay': 1} : {})});
+			var uresult1p = ((timestamp != null) ? security.getRecordAt('users', target_user, timestamp) :
+				security.app.service('users').get(target_user, {query: (('users' in security.data_schema && 'overlay_name' in security.data_schema['users']) ? {'$overlay': 1} : {})}));
 			return uresult1p.then(
 				function (uv) {
 					if (security.user_administrator_flag_name in uv && uv[security.user_administrator_flag_name]) {
@@ -1553,37 +3481,92 @@ var security_template = {
 		// console.log("No schema so no.");
 		return Promise.resolve(0);
 	},
-	accessLevelSlowWithUser: function(target_user, target_class, target_id) {
-		var pp = [this.userIsAdministrator(target_user),
-		this.accessLevelSlow(target_user, target_class, target_id),
-		this.app.service(target_class).get(target_id)];
-		// Note that we must convert the flag from userIsAdministrator into a set of privilege flags (0xFF).
+	accessLevelSlowWithUser: function(target_user, target_class, target_id, cache, timestamp) {
+		// If a cache is supplied, this uses accessLevelCached.
+		var pp = [this.userIsAdministrator(target_user, cache, timestamp),
+		((cache != null) ? this.accessLevelCached(target_user, target_class, target_id, cache, timestamp) : this.accessLevelSlow(target_user, target_class, target_id, null, null, timestamp)),
+		this.getRecordCached(target_class, target_id, cache, timestamp)];
+		// Note that we must convert the flag from userIsAdministrator into a set of privilege flags (the administrator role).
+		var security = this;
 		return Promise.all(pp).then(
-			function (rv) { return (rv[0] ? 0xFF : 0) | rv[1]; },
+			function (rv) {
+				return security.accessAdministratorBits(rv[0], target_user, target_class, target_id, cache, timestamp).then(function (admin_bits) {
+					return admin_bits | rv[1];
+				}, function (err) { return Promise.reject(err); });
+			},
 			function (err) { return Promise.reject(err); }
 		);
 	},
-	userCanRead: function(target_user, target_class, target_id) {
+	accessAdministratorBits: function(is_admin, target_user, target_class, target_id, cache, timestamp) {
+		// This converts the flag from userIsAdministrator into the privilege bits that it confers on the item.
+		// Normally, that is the whole administrator role, whatever the deny entries say.
+		// If deny_overrides_administrator is set, the bits that the user's deny entries name on the item or any of its ancestors are removed (see accessDeniedSlow).
+		if (!is_admin) return Promise.resolve(0);
+		var security = this;
+		if (!security.deny_overrides_administrator) return Promise.resolve(security.privilegeBits('administrator'));
+		return security.accessDeniedSlow(target_user, target_class, target_id, cache, timestamp, {}).then(function (denied) {
+			return security.privilegeBits('administrator') & ~denied;
+		}, function (err) { return Promise.reject(err); });
+	},
+	accessDeniedSlow: function(target_user, target_class, target_id, cache, timestamp, lookback) {
+		// This returns the union of the bits that the user's deny entries name on the item and on every ancestor reachable through privilege_transit.
+		// lookback holds the records on the current path so that a loop in the links stops the walk.
+		var security = this;
+		var lookup_key = JSON.stringify([target_class, target_id]);
+		if (lookup_key in lookback) return Promise.resolve(0);
+		var next_lookback = {};
+		var lname;
+		for (lname in lookback) next_lookback[lname] = lookback[lname];
+		next_lookback[lookup_key] = 1;
+		var authp = security.findAuthorities(target_user, target_class, target_id, cache, timestamp).then(function (rows) {
+			var denied = 0;
+			rows.forEach(function (auth, a_ind, a_arr) {
+				if (security.authorityIsLive(auth, timestamp)) denied |= security.authorityDenyBits(auth);
+			});
+			return denied;
+		}, function (err) { return Promise.reject(err); });
+		var parentp = security.getParents(target_class, target_id, cache, timestamp).then(function (links) {
+			return Promise.all(links.map(function (link) {
+				return security.accessDeniedSlow(target_user, link['target_class'], link['target_id'], cache, timestamp, next_lookback);
+			}));
+		}, function (err) { return Promise.reject(err); });
+		return Promise.all([authp, parentp]).then(function (rv) {
+			var denied = rv[0];
+			rv[1].forEach(function (bits, b_ind, b_arr) { denied |= bits; });
+			return denied;
+		}, function (err) { return Promise.reject(err); });
+	},
+	accessLevelAt: function(target_user, target_class, target_id, timestamp) {
+		// This returns the access that the user had to the item at the specified time, for audits.
+		// Authority records count if they had been created and not yet destroyed (and were within any validity bounds) at that time.
+		// Parent links and the administrator flag are read from overlays live at that time for overlaid classes and from the current records otherwise.
+		if (timestamp == null || !dateValueIsValid(timestamp)) return Promise.reject(new Error("Invalid timestamp."));
+		return this.accessLevelSlowWithUser(target_user, target_class, target_id, this.accessCacheCreate(null), dateFromValue(timestamp));
+	},
+	userCanRead: function(target_user, target_class, target_id, cache, timestamp) {
 		if (target_user == null) return Promise.resolve(1);
-		return (this.accessLevelSlowWithUser(target_user, target_class, target_id).then(function (x) {
-			return ((x & 0x3) ? 1 : 0);
+		var security = this;
+		return (this.accessLevelSlowWithUser(target_user, target_class, target_id, cache, timestamp).then(function (x) {
+			return security.privilegeCheck(x, 'read');
 		}, function (err) {return Promise.resolve(0);}));
 	},
-	userCanWrite: function(target_user, target_class, target_id) {
+	userCanWrite: function(target_user, target_class, target_id, cache, timestamp) {
 		if (target_user == null) return Promise.resolve(1);
-		return (this.accessLevelSlowWithUser(target_user, target_class, target_id).then(function (x) {
-			return (x & 6) == 6;
+		var security = this;
+		return (this.accessLevelSlowWithUser(target_user, target_class, target_id, cache, timestamp).then(function (x) {
+			return security.privilegeCheck(x, 'write');
 		}, function (err) {return Promise.resolve(0);}));
 	},
-	userCanListChildren: function(target_user, target_class, target_id) {
+	userCanListChildren: function(target_user, target_class, target_id, cache, timestamp) {
 		if (target_user == null) return Promise.resolve(1);
-		return (this.accessLevelSlowWithUser(target_user, target_class, target_id).then(function (x) {
-			return ((x & 0x2) ? 1 : 0);
+		var security = this;
+		return (this.accessLevelSlowWithUser(target_user, target_class, target_id, cache, timestamp).then(function (x) {
+			return security.privilegeCheck(x, 'list_children');
 		}, function (err) {return Promise.resolve(0);}));
 	},
-	userCanAddChildren: function (target_user, target_class, target_id) {
+	userCanAddChildren: function (target_user, target_class, target_id, cache, timestamp) {
 		if (target_user == null) return Promise.resolve(1);
-		return this.userCanWrite(target_user, target_class, target_id);
+		return this.userCanWrite(target_user, target_class, target_id, cache, timestamp);
 	},
 	hookRestrictToAdministrator: function (hook) {
 		if (!('provider' in hook.params && hook.params['provider'] != "") && !('user' in hook.params)) return Promise.resolve(hook);
@@ -1886,7 +3869,7 @@ var security_template = {
 		// This is for use with get queries.
 		if (!('provider' in hook.params && hook.params['provider'] != "") && !('user' in hook.params)) return Promise.resolve(hook);
 		if (hook.id == null) return Promise.reject(new Error("Must have record id."));
-		return (this.userCanRead(hook.params.user[hook.app.security.id_name], target_class, hook.id).then(function (iv) {
+		return (this.userCanRead(hook.params.user[hook.app.security.id_name], target_class, hook.id, hook.app.security.hookAccessCache(hook), hook.app.security.hookAccessTimestamp(hook)).then(function (iv) {
 			if (iv > 0) {
 				return Promise.resolve(hook);
 			} else {
@@ -1898,7 +3881,7 @@ var security_template = {
 		// This is for use with patch, update, and remove queries. So it is seldom used.
 		if (!('provider' in hook.params && hook.params['provider'] != "") && !('user' in hook.params)) return Promise.resolve(hook);
 		if (hook.id == null) return Promise.reject(new Error("Must have record id."));
-		return (this.userCanWrite(hook.params.user[hook.app.security.id_name], target_class, hook.id).then(function (iv) {
+		return (this.userCanWrite(hook.params.user[hook.app.security.id_name], target_class, hook.id, hook.app.security.hookAccessCache(hook), hook.app.security.hookAccessTimestamp(hook)).then(function (iv) {
 			if (iv > 0) {
 				return Promise.resolve(hook);
 			} else {
@@ -1910,7 +3893,7 @@ var security_template = {
 		// This is for use with find queries.
 		if (!('provider' in hook.params && hook.params['provider'] != "") && !('user' in hook.params)) return Promise.resolve(hook);
 		if ('query' in hook.params && parent_id_name in hook.params.query && (typeof(hook.params.query[parent_id_name]) == 'number' || typeof(hook.params.query[parent_id_name]) == 'string')) {
-			return hook.app.security.userCanListChildren(hook.params.user[hook.app.security.id_name], parent_class, hook.params.query[parent_id_name]).then(function(iv) {
+			return hook.app.security.userCanListChildren(hook.params.user[hook.app.security.id_name], parent_class, hook.params.query[parent_id_name], hook.app.security.hookAccessCache(hook), hook.app.security.hookAccessTimestamp(hook)).then(function(iv) {
 				if (iv > 0) {
 					return Promise.resolve(hook);
 				} else {
@@ -1926,7 +3909,7 @@ var security_template = {
 		// This is for use with find queries.
 		if (!('provider' in hook.params && hook.params['provider'] != "") && !('user' in hook.params)) return Promise.resolve(hook);
 		if ('query' in hook.params && parent_id_name in hook.params.query && (typeof(hook.params.query[parent_id_name]) == 'number' || typeof(hook.params.query[parent_id_name]) == 'string')) {
-			return hook.app.security.userCanAddChildren(hook.params.user[hook.app.security.id_name], parent_class, hook.params.query[parent_id_name]).then(function(iv) {
+			return hook.app.security.userCanAddChildren(hook.params.user[hook.app.security.id_name], parent_class, hook.params.query[parent_id_name], hook.app.security.hookAccessCache(hook), hook.app.security.hookAccessTimestamp(hook)).then(function(iv) {
 				if (iv > 0) {
 					return Promise.resolve(hook);
 				} else {
@@ -1946,7 +3929,7 @@ var security_template = {
 		// console.log(hook.data);
 		// console.log(parent_id_name);
 		if ('data' in hook && parent_id_name in hook.data && (typeof(hook.data[parent_id_name]) == 'number' || typeof(hook.data[parent_id_name]) == 'string')) {
-			return hook.app.security.userCanListChildren(hook.params.user[hook.app.security.id_name], parent_class, hook.data[parent_id_name]).then(function(iv) {
+			return hook.app.security.userCanListChildren(hook.params.user[hook.app.security.id_name], parent_class, hook.data[parent_id_name], hook.app.security.hookAccessCache(hook), hook.app.security.hookAccessTimestamp(hook)).then(function(iv) {
 				if (iv > 0) {
 					return Promise.resolve(hook);
 				} else {
@@ -1958,46 +3941,149 @@ var security_template = {
 			return Promise.reject(new Error("The query must specify the parent."));
 		}
 	},
-	checkRulesCrude: function(schema, sname, data, exclusive, connections, target_user, dramatic) {
+	hookRestrictToReachable: function(target_class, hook) {
+		// This is for use as a before hook on find queries.
+		// It is like hookUserCanListChildren but does not require the query to name a parent.
+		// Instead, it constrains the query to the records that the user can read through any authority (directly or via privilege_transit) so that $limit and $skip stay correct.
+		if (!('provider' in hook.params && hook.params['provider'] != "") && !('user' in hook.params)) return Promise.resolve(hook);
+		var security = hook.app.security;
+		return security.reachableFindQuery(hook.params.user[security.id_name], target_class, (('query' in hook.params && hook.params.query instanceof Object) ? hook.params.query : {}), security.hookAccessTimestamp(hook)).then(function (query) {
+			hook.params.query = query;
+			return Promise.resolve(hook);
+		}, function (err) { return Promise.reject(err); });
+	},
+	hookFilterReadableFull: function(target_class, hook, rejecting) {
+		// This is for use as an after hook on find queries.
+		// It resolves access to every returned record in one batch and drops those that the user cannot read, adjusting total to match.
+		// If rejecting is set, it instead rejects the whole query if any record is unreadable.
+		if (!('provider' in hook.params && hook.params['provider'] != "") && !('user' in hook.params)) return Promise.resolve(hook);
+		if (!('result' in hook && hook.result instanceof Object)) return Promise.reject(new Error("Missing returned records."));
+		var security = hook.app.security;
+		var paginated = !(hook.result instanceof Array);
+		var rows = (paginated ? hook.result.data : hook.result);
+		var ids = [];
+		rows.forEach(function (rec, r_ind, r_arr) { ids.push(rec[security.id_name]); });
+		return security.accessLevelManyWithUser(hook.params.user[security.id_name], target_class, ids, security.hookAccessCache(hook), security.hookAccessTimestamp(hook)).then(function (levels) {
+			var readable = rows.filter(function (rec, r_ind, r_arr) {
+				return (security.privilegeCheck(levels[rec[security.id_name]], 'read') ? true : false);
+			});
+			if (readable.length < rows.length) {
+				if (rejecting) return Promise.reject(new Error("No access."));
+				if (paginated) {
+					if ('total' in hook.result && typeof(hook.result.total) == 'number') hook.result.total -= (rows.length - readable.length);
+					hook.result.data = readable;
+				} else {
+					hook.result = readable;
+				}
+			}
+			return Promise.resolve(hook);
+		}, function (err) { return Promise.reject(err); });
+	},
+	hookFilterReadable: function(target_class, hook) {
+		return hook.app.security.hookFilterReadableFull(target_class, hook, 0);
+	},
+	hookRequireReadable: function(target_class, hook) {
+		return hook.app.security.hookFilterReadableFull(target_class, hook, 1);
+	},
+	checkRulesCrude: function(schema, sname, data, exclusive, connections, target_user, dramatic, original) {
 		// TODO: Give this the same flexibility as checkTypes and write a cohesive wrapper that checks types and rules.
+		// This checks the record-wide rules in schema.rules against data, which must be the whole record as it would stand after the operation (so a patch must be merged into the original first).
+		// original, if supplied, is the record as it stands (or a stub from recordIdStub), which unique uses to ignore the record itself.
+		// Each rule is {type, parameters, message}, where message, if set, replaces the default description of a violation.
+		// The types are these.
+		// 	unique, with parameters {fields, qualifier}, requires that no other record (not destroyed) in the service share the values of the fields and match the qualifier query; it runs only if connections is set.
+		// 	required_if, with parameters {field, when}, requires the field if the record matches the query when (in the vocabulary of recordMatchesQuery).
+		// 	exactly_one_of, with parameters {fields}, requires exactly one of the fields.
+		// 	ordering, with parameters {fields, strict}, requires the fields that are set to increase in the order listed (or, if strict is 0, not to decrease).
+		// 	sum, with parameters {fields, equals, min, max}, bounds the sum of the fields, with missing values counting as zero.
+		// 	predicate, with parameters {check, fields}, calls check(record, context), which returns whether the record passes or a promise for that; fields only says where to report a violation.
+		// A field counts as missing if it is null or absent.
+		// This finds all violations before it resolves -1 or, if dramatic, rejects with an error describing them all (a BadRequest from validationError if structured_validation_errors is set).
 		var checks = [];
 		var security = this;
-		if ('rules' in schema && connections) {
+		var collector = {'errors': {}, 'path': []};
+		var messages = [];
+		var present = function (fname) { return (data instanceof Object && data[fname] != null); };
+		var violate = function (rulev, fields, message) {
+			var vmessage = ((typeof(rulev.message) == 'string') ? rulev.message : message);
+			messages.push(vmessage);
+			// A violation is reported on every field involved so that a form can mark them all.
+			((fields instanceof Array && fields.length > 0) ? fields : ['_record']).forEach(function (fname, f_ind, f_arr) {
+				security.validationFailureRecord(collector, fname, {'code': rulev['type'], 'rule': rulev['type'], 'parameter': null, 'value': (present(fname) ? data[fname] : null), 'message': vmessage});
+			});
+		};
+		if ('rules' in schema && schema.rules instanceof Array) {
 			schema.rules.forEach( function(rulev, rulei, rulea) {
 				// console.log("Rule.");
 				// console.log(rulev);
-				if ('type' in rulev) {
-					if (rulev['type'] == 'unique' && 'parameters' in rulev && 'fields' in rulev.parameters && rulev.parameters.fields.length > 0) {
-						// console.log("Starting uniqueness check.");
-						var qq = {};
-						rulev.parameters.fields.forEach( function(fval, find, farr) {
-							if (fval in data) {
-								qq[fval] = data[fval];
-							} else {
-								checks.push(Promise.reject(new Error("Fields that must be unique must exist.")));
-							}
-						});
-						// Add fixed constraints to the duplicate search.
-						if ('qualifier' in rulev.parameters) {
-							var qqtname;
-							for (qqtname in rulev.parameters.qualifier) {
-								qq[qqtname] = rulev.parameters.qualifier[qqtname];
-							}
-						}
-						if ('destroyed_at' in schema.fields) {
-							qq['destroyed_at'] == null;
+				var rp = ((rulev.parameters instanceof Object) ? rulev.parameters : {});
+				if (!('type' in rulev)) return;
+				if (rulev['type'] == 'unique' && rp.fields instanceof Array && rp.fields.length > 0) {
+					if (!connections) return;
+					// console.log("Starting uniqueness check.");
+					var qq = {};
+					var missing = rp.fields.filter(function (fval, find, farr) { return !(data instanceof Object && fval in data); });
+					if (missing.length > 0) {
+						violate(rulev, missing, "Fields that must be unique must exist.");
+						return;
+					}
+					rp.fields.forEach( function(fval, find, farr) {
+						qq[fval] = data[fval];
+					});
+					// Add fixed constraints to the duplicate search.
+					if ('qualifier' in rp) {
+						var qqtname;
+						for (qqtname in rp.qualifier) {
+							qq[qqtname] = rp.qualifier[qqtname];
 						}
-						checks.push(security.app.service(sname).find({query: qq}).then( function(rv) {
-							if ('data' in rv && rv.data.length > 0) return Promise.reject(new Error("This combination already exists."));
-						}));
 					}
+					if ('destroyed_at' in schema.fields) {
+						qq['destroyed_at'] = null;
+					}
+					// The record does not conflict with itself.
+					var own_id = ((original instanceof Object && original[security.id_name] != null) ? original[security.id_name] :
+							((data instanceof Object && data[security.id_name] != null) ? data[security.id_name] : null));
+					if (own_id != null) qq[security.id_name] = {'$ne': own_id};
+					checks.push(security.app.service(sname).find({query: qq}).then( function(rv) {
+						if ((('data' in rv) ? rv.data : rv).length > 0) violate(rulev, rp.fields, "This combination already exists.");
+					}, function (err) { return Promise.reject(err); }));
+				} else if (rulev['type'] == 'required_if' && typeof(rp.field) == 'string') {
+					if (recordMatchesQuery(data, ((rp.when instanceof Object) ? rp.when : {})) && !present(rp.field)) violate(rulev, [rp.field], "The field " + rp.field + " is required here.");
+				} else if (rulev['type'] == 'exactly_one_of' && rp.fields instanceof Array) {
+					if (rp.fields.filter(present).length != 1) violate(rulev, rp.fields, "Exactly one of " + rp.fields.join(", ") + " must be set.");
+				} else if (rulev['type'] == 'ordering' && rp.fields instanceof Array) {
+					var strict = (!('strict' in rp) || rp.strict);
+					var last = null;
+					var ordered = 1;
+					rp.fields.filter(present).forEach(function (fval, find, farr) {
+						var tv = ((data[fval] instanceof Date) ? data[fval].getTime() : data[fval]);
+						if (last != null && (strict ? !(last < tv) : !(last <= tv))) ordered = 0;
+						last = tv;
+					});
+					if (!ordered) violate(rulev, rp.fields, "The fields " + rp.fields.join(", ") + " must be in " + (strict ? "increasing" : "non-decreasing") + " order.");
+				} else if (rulev['type'] == 'sum' && rp.fields instanceof Array) {
+					var total = 0;
+					rp.fields.forEach(function (fval, find, farr) { if (present(fval)) total += Number(data[fval]); });
+					if ((typeof(rp.equals) == 'number' && Math.abs(total - rp.equals) > 1e-9) ||
+							(typeof(rp.min) == 'number' && total < rp.min) ||
+							(typeof(rp.max) == 'number' && total > rp.max) ||
+							isNaN(total)) {
+						violate(rulev, rp.fields, "The sum of " + rp.fields.join(", ") + " is out of bounds.");
+					}
+				} else if (rulev['type'] == 'predicate' && typeof(rp.check) == 'function') {
+					var pcontext = {'security': security, 'original': ((original instanceof Object) ? original : null), 'target_user': target_user, 'class': sname};
+					checks.push(Promise.resolve(rp.check(data, pcontext)).then(function (passes) {
+						if (!passes) violate(rulev, rp.fields, "The record fails rule " + rulei + ".");
+					}, function (err) { return Promise.reject(err); }));
 				}
 			});
 		}
-		if (dramatic) {
-			return Promise.all(checks);
-		}
-		return Promise.all(checks).then(function (rv) { return 0; }, function (err) { return -1; });
+		return Promise.all(checks).then(function (rv) {
+			if (messages.length == 0) return 0;
+			if (!dramatic) return -1;
+			if (security.structured_validation_errors) return Promise.reject(security.validationError(collector.errors));
+			return Promise.reject(new Error(messages.join(" ")));
+		}, function (err) { if (dramatic) { return Promise.reject(err); } else { return -1; } });
 	},
 	hookCreationPreflight: function(target_class, hook) {
 		if (('provider' in hook.params && hook.params['provider'] != "") || 'user' in hook.params) {
@@ -2007,10 +4093,14 @@ var security_template = {
 				if (iv < 0) return Promise.reject(new Error("We cannot write this."));
 				// console.log("Checking rules.");
 				return hook.app.security.checkRulesCrude(hook.app.security.data_schema[target_class], target_class, hook.data, 1, 1, hook.params.user[hook.app.security.id_name], 1).then(function () {
+					hook.app.security.schemaVersionStamp(target_class, hook.data, 0);
 					hook.app.security.hookAddCreationInformationInPlaceBefore(hook);
 					return Promise.resolve(hook);
 				}, function (err) { return Promise.reject(err); });
 			}, function (err) { return Promise.reject(err); } );
+		} else {
+			hook.app.security.schemaVersionStamp(target_class, hook.data, 1);
+			return Promise.resolve(hook);
 		}
 	},
 	hookCreationOverlayPreflight: function(target_class, hook) {
@@ -2026,6 +4116,7 @@ var security_template = {
 				// console.log("Checking access succeeded.");
 				if (iv < 0) return Promise.reject(new Error("We cannot write this."));
 				return hook.app.security.checkRulesCrude(hook.app.security.data_schema[target_class], target_class, hook.data, 1, 1, hook.params.user[hook.app.security.id_name], 1).then(function () {
+					hook.app.security.schemaVersionStamp(target_class, hook.data, 0);
 					// Split out overlay data if applicable.
 					if ('overlay_name' in hook.app.security.data_schema[target_class]) {
 						var sd = hook.app.security.splitPatch.apply(hook.app.security, [hook.app.security.data_schema[target_class].fields, hook.data]);
@@ -2036,6 +4127,9 @@ var security_template = {
 					return Promise.resolve(hook);
 				}, function (err) { return Promise.reject(err); });
 			}, function (err) { return Promise.reject(err); } );
+		} else {
+			hook.app.security.schemaVersionStamp(target_class, hook.data, 1);
+			return Promise.resolve(hook);
 		}
 	},
 	hookCreationOverlayPostflightFull: function(target_class, hook, hybridUpdate, patching) {
@@ -2126,31 +4220,43 @@ var security_template = {
 									// console.log("Merge.");
 									// console.log(virtual_future);
 									// Remove unwritable fields.
+									// They go into the stand-in for the original so that validation rules scoped by them (as unique can be) still see their values.
+									var future_original = hook.app.security.recordIdStub(hook.id);
 									var tfield;
 									for (tfield in virtual_future) {
 										// console.log(tfield);
 										// console.log(virtual_future[tfield]);
 										if (tfield in hook.app.security.data_schema[target_class].fields && 'is_user_writable' in hook.app.security.data_schema[target_class].fields[tfield] && hook.app.security.data_schema[target_class].fields[tfield]['is_user_writable'] == 0) {
 											// console.log("Dropping " + tfield + ".");
+											future_original[tfield] = virtual_future[tfield];
 											delete virtual_future[tfield];
 										}
 									}
-									echecks.push(hook.app.security.checkTypesUpdateOverlay(hook.app.security.data_schema[target_class], virtual_future, 1, 1, (('user' in hook.params) ? hook.params.user[hook.app.security.id_name] : null), 1, null));
+									echecks.push(hook.app.security.checkTypesUpdateOverlay(hook.app.security.data_schema[target_class], virtual_future, 1, 1, (('user' in hook.params) ? hook.params.user[hook.app.security.id_name] : null), 1, future_original));
+									// The rules see the whole record, unwritable fields included.
+									echecks.push(hook.app.security.checkRulesCrude(hook.app.security.data_schema[target_class], target_class, hook.app.security.mergePatch(original, hook.data), 1, 1, (('user' in hook.params) ? hook.params.user[hook.app.security.id_name] : null), 1, original));
 									return Promise.all(echecks);
 								} else {
 									// If this is an update, we need to fetch the previous record for reference.
-									return hook.app.security.checkTypesUpdateOverlay(hook.app.security.data_schema[target_class], hook.data, 1, 1, hook.params.user[hook.app.security.id_name], 1, original);
+									return hook.app.security.checkTypesUpdateOverlay(hook.app.security.data_schema[target_class], hook.data, 1, 1, hook.params.user[hook.app.security.id_name], 1, original).then(function () {
+										return hook.app.security.checkRulesCrude(hook.app.security.data_schema[target_class], target_class, hook.data, 1, 1, hook.params.user[hook.app.security.id_name], 1, original);
+									}, function (err) { return Promise.reject(err); });
 								}
 							}, function (err) { return Promise.reject(err); }
 						);
 					} else {
-						return hook.app.security.checkTypesUpdateOverlay(hook.app.security.data_schema[target_class], hook.data, 1, 1, (('user' in hook.params) ? hook.params.user[hook.app.security.id_name] : null), 1, null);
+						return hook.app.security.checkTypesUpdateOverlay(hook.app.security.data_schema[target_class], hook.data, 1, 1, (('user' in hook.params) ? hook.params.user[hook.app.security.id_name] : null), 1, hook.app.security.recordIdStub(hook.id)).then(function () {
+							return hook.app.security.checkRulesCrude(hook.app.security.data_schema[target_class], target_class, hook.data, 1, 1, (('user' in hook.params) ? hook.params.user[hook.app.security.id_name] : null), 1, hook.app.security.recordIdStub(hook.id));
+						}, function (err) { return Promise.reject(err); });
 					}
 				}, function (err) { return Promise.reject(err); }
 			);
 			return pcheck.then( function (iv) {
 				// Note that iv is meaningless. It might be even be an array.
 				// console.log("Checking access succeeded.");
+				// The data of an update passed the checks for the current version, so the record is now at that version.
+				// A patch leaves the rest of the record as it was, unmigrated, so it leaves the stamp alone too.
+				if (!patching) hook.app.security.schemaVersionStamp(target_class, hook.data, 0);
 				// Split out overlay data if applicable.
 				if ('overlay_name' in hook.app.security.data_schema[target_class]) {
 					var sd = hook.app.security.splitPatch.apply(hook.app.security, [hook.app.security.data_schema[target_class].fields, hook.data]);
@@ -2173,7 +4279,9 @@ var security_template = {
 					return hook.app.service(target_class).get(hook.id).then(function (original) {
 						var ofd;
 						for (ofd in original) {
-							if (ofd in hook.app.security.data_schema[target_class].fields && 'is_user_writable' in hook.app.security.data_schema[target_class].fields[ofd] && hook.app.security.data_schema[target_class].fields[ofd].is_user_writable == 0) {
+							// The version stamp belongs to the new data.
+							if (ofd in hook.app.security.data_schema[target_class].fields && 'is_user_writable' in hook.app.security.data_schema[target_class].fields[ofd] && hook.app.security.data_schema[target_class].fields[ofd].is_user_writable == 0 &&
+									!(ofd == hook.app.security.schema_version_field && ofd in hook.data)) {
 								hook.data[ofd] = original[ofd];
 							}
 						}
@@ -2256,6 +4364,17 @@ var security_template = {
 		console.log("Missing overlay name.");
 		return Promise.resolve(rec);
 	},
+	attachOverlayAt: function(target_class, rec, timestamp) {
+		// This is attachOverlay for the overlay that was live at the timestamp, that is, created at or before it and not destroyed by it.
+		var thisC = this;
+		var searchParams = {'base_id': rec[thisC.id_name], created_at: {'$lte': dateFromValue(timestamp)},
+			'$or': [{destroyed_at: null}, {destroyed_at: {'$gt': dateFromValue(timestamp)}}], '$sort': {created_at: -1}, '$limit': 1};
+		return thisC.app.service(thisC.data_schema[target_class].overlay_name).find({query: searchParams}).then(function(overlays) {
+			if (!('data' in overlays)) return Promise.reject(new Error("Missing data."));
+			if (overlays.data.length > 0) return Promise.resolve((thisC.mergeSchemedPatch(thisC.data_schema[target_class].fields, rec, overlays.data[0])).data);
+			return Promise.resolve(rec);
+		}, function (err) { return Promise.reject(err); });
+	},
 	hookGetOverlayPostflight: function(target_class, hook) {
 		var thisC = hook.app.security;
 		if ('result' in hook) {
@@ -2293,21 +4412,25 @@ var security_template = {
 	hookAuthorizationCanSearch: function(hook) {
     if (!('provider' in hook.params && hook.params['provider'] != "") && !('user' in hook.params)) return Promise.resolve(hook);
     // We grant access either to a user to whom the authority belongs or to a user who has read access to the underlying object.
+    // A member of a group (directly or through nested groups) may also search the authorities granted to that group.
     var access_promises = [];
     if ('query' in hook.params && 'user' in hook.params) {
       if ('user_id' in hook.params.query) {
         access_promises.push(Promise.resolve(hook.params.user[hook.app.security.id_name] == hook.params.query['user_id']));
       }
+      if ('group_id' in hook.params.query && hook.params.query['group_id'] != null) {
+        access_promises.push(hook.app.security.userGroups(hook.params.user[hook.app.security.id_name], hook.app.security.hookAccessCache(hook)).then(function (group_ids) {
+          return group_ids.indexOf(hook.params.query['group_id']) >= 0;
+        }));
+      }
       if ('target_class' in hook.params.query && 'target_id' in hook.params.query) {
-        access_promises.push(userCanRead(hook.params.user[hook.app.security.id_name], hook.params.query['target_class'], hook.params.query['target_id']));
+        access_promises.push(hook.app.security.userCanRead(hook.params.user[hook.app.security.id_name], hook.params.query['target_class'], hook.params.query['target_id']));
       }
     }
     return Promise.all(access_promises)
     .then(function (access_results) {
-      access_results.forEach( function (val, ind, arr) {
-        if (val) return Promise.resolve(hook);
-      });
-      return Promise.reject(new Error("Find queries must be limited to the querying user as user_id or to a target_class + target_id combination to which the querying user has access."));
+      if (access_results.some(function (val) { return val; })) return Promise.resolve(hook);
+      return Promise.reject(new Error("Find queries must be limited to the querying user as user_id, to a group of the querying user as group_id, or to a target_class + target_id combination to which the querying user has access."));
     });
 	},
 	hookAuthorizationCanRead: function(hook) {
@@ -2320,15 +4443,18 @@ var security_template = {
 		    if ('user_id' in auth_rec) {
 		      access_promises.push(Promise.resolve(hook.params.user[hook.app.security.id_name] == auth_rec['user_id']));
 		    }
+		    if ('group_id' in auth_rec && auth_rec['group_id'] != null) {
+		      access_promises.push(hook.app.security.userGroups(hook.params.user[hook.app.security.id_name], hook.app.security.hookAccessCache(hook)).then(function (group_ids) {
+		        return group_ids.indexOf(auth_rec['group_id']) >= 0;
+		      }));
+		    }
 		    if ('target_class' in auth_rec && 'target_id' in auth_rec) {
-		      access_promises.push(userCanRead(hook.params.user[hook.app.security.id_name], auth_rec['target_class'], auth_rec['target_id']));
+		      access_promises.push(hook.app.security.userCanRead(hook.params.user[hook.app.security.id_name], auth_rec['target_class'], auth_rec['target_id']));
 		    }
 		  }
 		  return Promise.all(access_promises)
 		  .then(function (access_results) {
-		    access_results.forEach( function (val, ind, arr) {
-		      if (val) return Promise.resolve(hook);
-		    });
+		    if (access_results.some(function (val) { return val; })) return Promise.resolve(hook);
 		    return Promise.reject(new Error("Access is limited to the beneficiary of the authority record and to those who can see the target of the authority record."));
 		  });
 		});
@@ -2401,7 +4527,7 @@ var security_template = {
 		// Ironically, we set hold_level to 2 here on read operations since that is all that is applicable.
 		// And set it to 1 on write operations since any operation matters.
 		var security = this;
-		if (frankenlib.check_path_in_dict(security, ["named_holds"])) {
+		if ('named_holds' in security && security.named_holds != null) {
 			if (treeDigToTrue(security.named_holds, hold_path, hold_level, true))
 				return true;
 			return false;
@@ -2412,7 +4538,7 @@ var security_template = {
 		// hold_level 0 means release, 1 means read, and 2 means write.
 		// Read locking is not yet working.
 		var security = this;
-		if (frankenlib.check_path_in_dict(security, ["named_holds"])) {
+		if ('named_holds' in security && security.named_holds != null) {
 			if (treeSetToValue(security.named_holds, hold_path, hold_level, (hold_level == 0), true))
 				return true;
 			return false;
@@ -2740,6 +4866,71 @@ function queryDropSpecial(tin) {
 	return out;
 }
 
+function queryConjoinAlternatives(query, clauses) {
+	// This returns a copy of the query that additionally requires a match on at least one of the clauses.
+	var out = {};
+	var tname;
+	for (tname in query) out[tname] = query[tname];
+	if (clauses.length == 1) {
+		// A single clause can be merged directly unless it collides with the existing query.
+		var collides = 0;
+		for (tname in clauses[0]) if (tname in out) collides = 1;
+		if (!collides) {
+			for (tname in clauses[0]) out[tname] = clauses[0][tname];
+			return out;
+		}
+	}
+	if (!('$or' in out)) {
+		out['$or'] = clauses;
+		return out;
+	}
+	// The query already has alternatives, so we require both sets.
+	var existing = out['$or'];
+	delete out['$or'];
+	out['$and'] = (('$and' in out) ? out['$and'] : []).concat([{'$or': existing}, {'$or': clauses}]);
+	return out;
+}
+
+function recordMatchesQuery(rec, query) {
+	// This checks whether a record satisfies a query in the Feathers vocabulary, so that predicates can be written as queries.
+	// It supports equality, $in, $nin, $ne, $lt, $lte, $gt, $gte, $or, and $and, and it ignores $limit, $skip, $sort, and $select.
+	// An array field matches equality, $in, and $nin if any of its entries does, as in Mongo.
+	var comparable = function (v) { return ((v instanceof Date) ? v.getTime() : v); };
+	var equal = function (v, w) { return comparable(v) === comparable(w) || (v == null && w == null); };
+	var any = function (v, test) { return ((v instanceof Array) ? v.some(test) : test(v)); };
+	var qname;
+	for (qname in query) {
+		if (qname == '$limit' || qname == '$skip' || qname == '$sort' || qname == '$select') continue;
+		if (qname == '$or') {
+			if (!query[qname].some(function (sub) { return recordMatchesQuery(rec, sub); })) return false;
+			continue;
+		}
+		if (qname == '$and') {
+			if (!query[qname].every(function (sub) { return recordMatchesQuery(rec, sub); })) return false;
+			continue;
+		}
+		var value = ((rec instanceof Object && qname in rec) ? rec[qname] : null);
+		var cond = query[qname];
+		if (!(cond instanceof Object) || cond instanceof Date || cond instanceof Array) {
+			if (!any(value, function (v) { return equal(v, cond); })) return false;
+			continue;
+		}
+		var op;
+		for (op in cond) {
+			var operand = cond[op];
+			if (op == '$in') { if (!any(value, function (v) { return operand.some(function (w) { return equal(v, w); }); })) return false; }
+			else if (op == '$nin') { if (any(value, function (v) { return operand.some(function (w) { return equal(v, w); }); })) return false; }
+			else if (op == '$ne') { if (any(value, function (v) { return equal(v, operand); })) return false; }
+			else if (op == '$lt') { if (value == null || !(comparable(value) < comparable(operand))) return false; }
+			else if (op == '$lte') { if (value == null || !(comparable(value) <= comparable(operand))) return false; }
+			else if (op == '$gt') { if (value == null || !(comparable(value) > comparable(operand))) return false; }
+			else if (op == '$gte') { if (value == null || !(comparable(value) >= comparable(operand))) return false; }
+			else return false; // We do not know this operator, so we fail closed.
+		}
+	}
+	return true;
+}
+
 function escapeRegExp(str) {
 	// https://stackoverflow.com/questions/3446170/escape-string-for-use-in-javascript-regex
 	return str.replace(/[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, "\\$&");
@@ -2809,11 +5000,280 @@ function hookQuerySubstringRegExp(hook) {
 	return hook;
 }
 
+function dateFromValue(iv) {
+	// This converts a Date, a date string, or a number of milliseconds into a Date.
+	if (iv instanceof Date) return iv;
+	return new Date(iv);
+}
+
+function dateValueIsValid(iv) {
+	// This checks whether a value converts to a valid Date.
+	if (!(iv instanceof Date || typeof(iv) == 'string' || typeof(iv) == 'number')) return false;
+	return !isNaN(dateFromValue(iv).getTime());
+}
+
+function accessCacheStamp(timestamp) {
+	// This gives the cache key segment for levels evaluated as of the timestamp.
+	return ((timestamp != null) ? dateFromValue(timestamp).getTime().toString() : 'now');
+}
+
+function reachableLevelAdd(levels, target_id, bits) {
+	// This adds bits to the entry for target_id in a dictionary from reachableLevels, keeping the original id value.
+	var tkey = String(target_id);
+	if (!(tkey in levels)) levels[tkey] = {'id': target_id, 'level': 0};
+	levels[tkey].level |= bits;
+	return levels;
+}
+
+function cacheTreeGet(tree, path) {
+	// This follows the path through nested dictionaries and returns the leaf or null.
+	var node = tree;
+	var pi;
+	for (pi = 0; pi < path.length; pi++) {
+		if (!(node instanceof Object) || !(path[pi] in node)) return null;
+		node = node[path[pi]];
+	}
+	return node;
+}
+
+function cacheTreeSet(tree, path, value) {
+	// This stores value at the path, creating intermediate dictionaries as necessary.
+	var node = tree;
+	var pi;
+	for (pi = 0; pi < path.length - 1; pi++) {
+		if (!(node[path[pi]] instanceof Object)) node[path[pi]] = {};
+		node = node[path[pi]];
+	}
+	node[path[path.length - 1]] = value;
+	return value;
+}
+
+function cacheTreeDrop(tree, path) {
+	// This deletes the node at the path along with everything under it.
+	var parent = cacheTreeGet(tree, path.slice(0, -1));
+	if (parent instanceof Object && path[path.length - 1] in parent) delete parent[path[path.length - 1]];
+	return 0;
+}
+
+function validationValueType(value) {
+	// This names the type of a value as the types list of a validation rule does, which is as typeof does but with 'array' for arrays.
+	return ((value instanceof Array) ? 'array' : typeof(value));
+}
+
+function privilegesDefault() {
+	// This returns the default privileges registry, whose checks privilegeCheck also falls back on when a registry lacks them.
+	return {
+		bits: {
+			view: {bit: 1, transitive: 0},
+			read: {bit: 2, transitive: 1},
+			write: {bit: 4, transitive: 1},
+			manage: {bit: 8, transitive: 1}
+		},
+		roles: {
+			viewer: ['view'],
+			reader: ['read'],
+			editor: ['read', 'write'],
+			manager: ['read', 'write', 'manage'],
+			administrator: 0xFF
+		},
+		checks: {
+			read: {any: ['view', 'read']},
+			list_children: {all: ['read']},
+			write: {all: ['read', 'write']},
+			revoke: {all: ['manage']},
+			grant: {all: ['manager']}
+		}
+	};
+}
+
+function validationRulesDefault() {
+	// This returns the built-in validation rules in the form that registerValidationRule accepts.
+	var numberParameter = function (text) {
+		var pv = ((typeof(text) == 'string' && text.length > 0) ? Number(text) : NaN);
+		if (isNaN(pv)) throw new Error("The parameter must be a number.");
+		return pv;
+	};
+	var listParameter = function (text) {
+		if (typeof(text) != 'string') throw new Error("The parameter must be a list.");
+		return text.split(',');
+	};
+	var boundsParameter = function (text) {
+		var bounds = listParameter(text).map(numberParameter);
+		if (bounds.length != 2 || bounds[0] > bounds[1]) throw new Error("The parameter must be a lower and an upper bound.");
+		return bounds;
+	};
+	var patternRule = function (pattern, form_attributes, json_schema) {
+		// Unless json_schema says otherwise, the pattern carries over to JSON Schema, whose patterns follow the same syntax.
+		return {parameter: null, types: ['string'], check: function (value, parameter, context) { return pattern.test(value); }, form_attributes: form_attributes,
+			json_schema: ((json_schema != null) ? json_schema : function (parameter, field) { return {pattern: pattern.source}; })};
+	};
+	var lengthOrValue = function (value) { return ((typeof(value) == 'number') ? value : value.length); };
+	var boundAttributes = function (lower, upper, field) {
+		// This gives the attributes for an input bounded in value (for numbers) or in length (for strings).
+		var fattrs = {};
+		if (field['type'] == 'number') {
+			if (lower != null) fattrs['min'] = lower;
+			if (upper != null) fattrs['max'] = upper;
+		} else if (field['type'] == 'string') {
+			if (lower != null) fattrs['minlength'] = lower;
+			if (upper != null) fattrs['maxlength'] = upper;
+		}
+		return fattrs;
+	};
+	var boundKeywords = function (lower, upper, field) {
+		// This gives the JSON Schema keywords for a bound on the value of a number or the length of a string or an array.
+		var names = {'number': ['minimum', 'maximum'], 'string': ['minLength', 'maxLength'], 'array': ['minItems', 'maxItems']}[field['type']];
+		var keywords = {};
+		if (names == null) return keywords;
+		if (lower != null) keywords[names[0]] = lower;
+		if (upper != null) keywords[names[1]] = upper;
+		return keywords;
+	};
+	var sameValue = function (v0, v1) {
+		if (v0 instanceof Object && v1 instanceof Object) return (JSON.stringify(v0) == JSON.stringify(v1));
+		return (v0 === v1);
+	};
+	var lookupRule = function (unique) {
+		// This makes exists or unique, which look the value up in a service.
+		// The parameter lists the service, the field to match (by default the primary key for exists and the field being checked for unique), and any fields that scope the search.
+		// Each scoping field must match its value in the record being checked (or, failing that, in the original).
+		// Records with destroyed_at set are ignored if the schema for the service has that field.
+		// unique also ignores the record being checked, which it identifies by context.record_id, if the service is the class of that record (context.class).
+		return {parameter: function (text) {
+			var names = listParameter(text);
+			if (names[0].length == 0) throw new Error("The parameter must name a service.");
+			return names;
+		}, types: ['string', 'number'], async: 1, check: function (value, parameter, context) {
+			var security = context.security;
+			if (!(security instanceof Object) || !(security.app instanceof Object)) return Promise.reject(new Error("This rule needs the security service in its context."));
+			var query = {};
+			query[((parameter.length > 1 && parameter[1].length > 0) ? parameter[1] : (unique ? context.field : security.id_name))] = value;
+			parameter.slice(2).forEach(function (scope, s_ind, s_arr) {
+				if (context.record instanceof Object && scope in context.record) query[scope] = context.record[scope];
+				else if (context.original instanceof Object && scope in context.original) query[scope] = context.original[scope];
+				else query[scope] = null;
+			});
+			if (security.data_schema instanceof Object && parameter[0] in security.data_schema &&
+					security.data_schema[parameter[0]].fields instanceof Object && 'destroyed_at' in security.data_schema[parameter[0]].fields) {
+				query['destroyed_at'] = null;
+			}
+			if (unique && context.record_id != null && context['class'] == parameter[0]) query[security.id_name] = {'$ne': context.record_id};
+			query['$limit'] = 1;
+			return security.app.service(parameter[0]).find({query: query}).then(function (rv) {
+				var found = (((rv instanceof Array) ? rv : rv.data).length > 0);
+				return (unique ? !found : found);
+			}, function (err) { return Promise.reject(err); });
+		}};
+	};
+	return {
+		// max and min bound the length of a string or an array or the value of a number.
+		max: {parameter: numberParameter, types: ['string', 'number', 'array'], check: function (value, parameter, context) {
+			return (lengthOrValue(value) <= parameter);
+		}, form_attributes: function (parameter, field) { return boundAttributes(null, parameter, field); },
+		json_schema: function (parameter, field) { return boundKeywords(null, parameter, field); }},
+		min: {parameter: numberParameter, types: ['string', 'number', 'array'], check: function (value, parameter, context) {
+			return (lengthOrValue(value) >= parameter);
+		}, form_attributes: function (parameter, field) { return boundAttributes(parameter, null, field); },
+		json_schema: function (parameter, field) { return boundKeywords(parameter, null, field); }},
+		// between:lower,upper combines min and max.
+		between: {parameter: boundsParameter, types: ['string', 'number', 'array'], check: function (value, parameter, context) {
+			return (lengthOrValue(value) >= parameter[0] && lengthOrValue(value) <= parameter[1]);
+		}, form_attributes: function (parameter, field) { return boundAttributes(parameter[0], parameter[1], field); },
+		json_schema: function (parameter, field) { return boundKeywords(parameter[0], parameter[1], field); }},
+		// step requires a number to be a multiple of the parameter.
+		step: {parameter: numberParameter, types: ['number'], check: function (value, parameter, context) {
+			return (value % parameter == 0);
+		}, form_attributes: function (parameter, field) { return {step: parameter}; },
+		json_schema: function (parameter, field) { return {multipleOf: parameter}; }},
+		// integer requires a whole number or a string of digits with an optional minus sign.
+		integer: {parameter: null, types: ['number', 'string'], check: function (value, parameter, context) {
+			return ((typeof(value) == 'number') ? (isFinite(value) && Math.floor(value) == value) : (/^-?[0-9]+$/).test(value));
+		}, form_attributes: function (parameter, field) { return ((field['type'] == 'number') ? {step: 1} : {pattern: '-?[0-9]+'}); },
+		json_schema: function (parameter, field) { return ((field['type'] == 'number') ? {type: 'integer'} : {pattern: '^-?[0-9]+$'}); }},
+		// digits:n requires exactly n decimal digits.
+		digits: {parameter: function (text) {
+			var pv = numberParameter(text);
+			if (pv < 1 || Math.floor(pv) != pv) throw new Error("The parameter must be a positive whole number.");
+			return pv;
+		}, types: ['number', 'string'], check: function (value, parameter, context) {
+			var tv = ((typeof(value) == 'number') ? value.toString() : value);
+			return ((/^[0-9]+$/).test(tv) && tv.length == parameter);
+		}, form_attributes: function (parameter, field) { return ((field['type'] == 'string') ? {pattern: '[0-9]{' + parameter + '}', maxlength: parameter} : {}); },
+		json_schema: function (parameter, field) {
+			return ((field['type'] == 'number') ? {type: 'integer', minimum: ((parameter > 1) ? Math.pow(10, parameter - 1) : 0), maximum: Math.pow(10, parameter) - 1} : {pattern: '^[0-9]{' + parameter + '}$'});
+		}},
+		// in:a,b,c requires the value (as text) to be one of those listed, and not_in:a,b,c requires it to be none of them.
+		'in': {parameter: listParameter, types: ['string', 'number'], check: function (value, parameter, context) {
+			return (parameter.indexOf(value.toString()) >= 0);
+		}, form_attributes: function (parameter, field) { return {datalist: parameter}; },
+		json_schema: function (parameter, field) { return {'enum': ((field['type'] == 'number') ? parameter.map(Number) : parameter)}; }},
+		not_in: {parameter: listParameter, types: ['string', 'number'], check: function (value, parameter, context) {
+			return (parameter.indexOf(value.toString()) < 0);
+		}, json_schema: function (parameter, field) { return {not: {'enum': ((field['type'] == 'number') ? parameter.map(Number) : parameter)}}; }},
+		// regex:'...' requires a match for the regular expression somewhere in the string, so it should carry anchors if it is to match the whole string.
+		regex: {parameter: function (text) {
+			if (typeof(text) != 'string' || text.length == 0) throw new Error("The parameter must be a regular expression.");
+			return new RegExp(text);
+		}, types: ['string'], check: function (value, parameter, context) {
+			return parameter.test(value);
+		}, form_attributes: function (parameter, field) {
+			// The pattern attribute must match the whole value, so an unanchored expression gets padding.
+			var src = parameter.source;
+			var anchored_start = (src.charAt(0) == '^');
+			var anchored_end = (src.length > 0 && src.charAt(src.length - 1) == '$' && src.charAt(src.length - 2) != '\\');
+			return {pattern: (anchored_start ? '' : '[\\s\\S]*') + '(?:' + src + ')' + (anchored_end ? '' : '[\\s\\S]*')};
+		}, json_schema: function (parameter, field) { return {pattern: parameter.source}; }},
+		// email, url, and uuid check the form of the string.
+		email: patternRule(/^[^\s@]+@[^\s@]+\.[^\s@]+$/, function (parameter, field) { return {type: 'email'}; }, function (parameter, field) { return {format: 'email'}; }),
+		url: patternRule(/^[A-Za-z][A-Za-z0-9+.-]*:\/\/[^\s\/?#]+[^\s]*$/, function (parameter, field) { return {type: 'url'}; }, function (parameter, field) { return {format: 'uri'}; }),
+		uuid: patternRule(/^[0-9A-Fa-f]{8}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{12}$/, function (parameter, field) {
+			return {pattern: '[0-9A-Fa-f]{8}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{12}'};
+		}, function (parameter, field) { return {format: 'uuid'}; }),
+		// iso_date requires an ISO 8601 date (2016-02-29) or date and time (2016-02-29T12:00:00Z) naming a real day.
+		iso_date: {parameter: null, types: ['string'], check: function (value, parameter, context) {
+			var dm = (/^([0-9]{4})-([0-9]{2})-([0-9]{2})(T[0-9]{2}:[0-9]{2}(:[0-9]{2}(\.[0-9]+)?)?(Z|[+-][0-9]{2}:?[0-9]{2})?)?$/).exec(value);
+			if (dm == null) return false;
+			var day = new Date(Date.UTC(parseInt(dm[1]), parseInt(dm[2]) - 1, parseInt(dm[3])));
+			return (day.getUTCMonth() == parseInt(dm[2]) - 1 && day.getUTCDate() == parseInt(dm[3]) && !isNaN(Date.parse(value)));
+		}, json_schema: function (parameter, field) { return {anyOf: [{format: 'date'}, {format: 'date-time'}]}; }},
+		// confirmed requires the value to equal that of the field of the same name with _confirmation appended, and same:other requires it to equal that of the field other.
+		// checkTypesNested accepts the confirmation field without a schema entry and drops it from the data once it has checked the record.
+		// These read the record from the context, so validateText, which has none, fails them.
+		confirmed: {parameter: null, types: null, check: function (value, parameter, context) {
+			return (context.record instanceof Object && typeof(context.field) == 'string' && sameValue(value, context.record[context.field + '_confirmation']));
+		}},
+		// exists:service,field,scope requires a matching record in the service, and unique:service,field,scope (or unique_in) requires that there be none besides the record itself.
+		exists: lookupRule(0),
+		unique: lookupRule(1),
+		unique_in: lookupRule(1),
+		same: {parameter: function (text) {
+			if (typeof(text) != 'string' || text.length == 0) throw new Error("The parameter must be a field name.");
+			return text;
+		}, types: null, check: function (value, parameter, context) {
+			return (context.record instanceof Object && sameValue(value, context.record[parameter]));
+		}},
+		// These check that all characters in a string match the pattern shown.
+		alpha_num: patternRule(/^[A-Za-z0-9]*$/),
+		alpha_dash: patternRule(/^[A-Za-z0-9_-]*$/),
+		alpha_dash_space: patternRule(/^[A-Za-z0-9 _-]*$/),
+		alpha_slash: patternRule(/^[A-Za-z0-9\/\.:_-]*$/),
+		alpha_slash_space: patternRule(/^[A-Za-z0-9\/\.: _-]*$/),
+		us_date: patternRule(/^[0-9]{1,2}\/[0-9]{1,2}\/[0-9]+$/),
+		// required checks that the value is supplied. A blank string passes this check.
+		required: {parameter: null, types: null, check_null: 1, check: function (value, parameter, context) {
+			return (value != null);
+		}, form_attributes: function (parameter, field) { return {required: 1}; },
+		json_schema: function (parameter, field) { return {required: true}; }}
+	};
+}
+
 function errorPasser(err) {
 	return Promise.reject(err);
 }
 
-function reprivilegerCreate(app) {
+function reprivilegerCreate(app, config) {
+	// If a config object is supplied, its settings (data_schema, privilege_transit, and so on) replace the defaults (except that validation_rules add to the built-in rules), and the result is checked with validateConfiguration, which throws on problems.
+	// Services are not checked here since they are usually registered later; call validateConfiguration(1, 1) once they are.
 	var rv = {};
 	for (var ell in security_template) {
 		rv[ell] = security_template[ell];
@@ -2823,6 +5283,24 @@ function reprivilegerCreate(app) {
 	rv['privilege_transit'] = {};
 	rv['data_schema'] = {};
 	rv['models'] = {};
+	rv['privileges'] = privilegesDefault();
+	rv['access_cache_ttl'] = null;
+	rv['access_cache_hooks'] = 0;
+	rv['access_cache_shared'] = null;
+	rv['access_batch_size'] = 100;
+	rv['privilege_transit_max_depth'] = 64;
+	rv['deny_overrides_administrator'] = 0;
+	rv['group_service'] = null;
+	rv['membership_service'] = null;
+	rv['structured_validation_errors'] = 0;
+	rv['schema_version_field'] = 'schema_version';
+	rv['validation_rules'] = validationRulesDefault();
+	if (config instanceof Object) {
+		// Rules in config.validation_rules join the built-in ones rather than replacing them all.
+		for (var cname in config) if (cname != 'validation_rules') rv[cname] = config[cname];
+		if (config['validation_rules'] instanceof Object) for (var vname in config['validation_rules']) rv.registerValidationRule(vname, config['validation_rules'][vname]);
+		rv.validateConfiguration(1, 0);
+	}
 	return rv;
 }
 
@@ -3118,5 +5596,5 @@ function reprivilegerTestTestApp(app) {
 	});
 }
 
-exports = module.exports = {create: reprivilegerCreate, createTestApp: reprivilegerCreateTestApp, testTestApp: reprivilegerTestTestApp, hookDoWithReadLock: hookDoWithReadLock, hookDoWithWriteLock: hookDoWithWriteLock, doWithReadLock: doPromiseWithReadLock, doWithWriteLock: doPromiseWithWriteLock, doPromiseWithLock: doPromiseWithLock, hookLockRead: hookLockRead, hookLockWrite: hookLockWrite, hookUnlock: hookUnlock, errorPasser: errorPasser, hookCompositor: hookCompositor, hookErrUnlock: hookErrUnlock, escapeRegExp: escapeRegExp, convertQueryStringSubstring: convertQueryStringSubstring, convertQuerySubstringRegExp: convertQuerySubstringRegExp, convertQueryBlankStringDrop: convertQueryBlankStringDrop, hookQueryStringSubstring: hookQueryStringSubstring, hookQuerySubstringRegExp: hookQuerySubstringRegExp, queryDropSpecial: queryDropSpecial, coerceNumericToIntegerPatch: coerceNumericToIntegerPatch, splitPatch: splitPatch, mergePatch: mergePatch, mergeSchemedPatch: mergeSchemedPatch, mergeSchemedPatchInPlace: mergeSchemedPatchInPlace, populateHierarchy: populateHierarchy, splitSubmodelData: splitSubmodelData, flattenHierarchy: flattenHierarchy, mergeSubmodelData: mergeSubmodelData};
+exports = module.exports = {create: reprivilegerCreate, createTestApp: reprivilegerCreateTestApp, testTestApp: reprivilegerTestTestApp, hookDoWithReadLock: hookDoWithReadLock, hookDoWithWriteLock: hookDoWithWriteLock, doWithReadLock: doPromiseWithReadLock, doWithWriteLock: doPromiseWithWriteLock, doPromiseWithLock: doPromiseWithLock, hookLockRead: hookLockRead, hookLockWrite: hookLockWrite, hookUnlock: hookUnlock, errorPasser: errorPasser, hookCompositor: hookCompositor, hookErrUnlock: hookErrUnlock, escapeRegExp: escapeRegExp, convertQueryStringSubstring: convertQueryStringSubstring, convertQuerySubstringRegExp: convertQuerySubstringRegExp, convertQueryBlankStringDrop: convertQueryBlankStringDrop, hookQueryStringSubstring: hookQueryStringSubstring, hookQuerySubstringRegExp: hookQuerySubstringRegExp, queryDropSpecial: queryDropSpecial, queryConjoinAlternatives: queryConjoinAlternatives, recordMatchesQuery: recordMatchesQuery, coerceNumericToIntegerPatch: coerceNumericToIntegerPatch, splitPatch: splitPatch, mergePatch: mergePatch, mergeSchemedPatch: mergeSchemedPatch, mergeSchemedPatchInPlace: mergeSchemedPatchInPlace, populateHierarchy: populateHierarchy, splitSubmodelData: splitSubmodelData, flattenHierarchy: flattenHierarchy, mergeSubmodelData: mergeSubmodelData};
 
@@ -0,0 +1,844 @@
+// These are behavior tests for the security module, run against in-memory services shaped like Feathers services.
+// They need nothing beyond the dependencies of the module itself. Run them with npm test.
+
+var assert = require('assert');
+var reprivileger = require('../index.js');
+
+var tests = [];
+function test(name, fn) {
+	tests.push({'name': name, 'fn': fn});
+}
+
+function ObjectId(hex) {
+	// This stands in for the ObjectId of the MongoDB driver, which is an object compared by value through equals.
+	this.hex = hex;
+}
+ObjectId.prototype.equals = function (other) { return (other instanceof ObjectId && other.hex == this.hex); };
+ObjectId.prototype.toString = function () { return this.hex; };
+
+function same(a, b) {
+	if (a === b) return true;
+	if (a instanceof Date && b instanceof Date) return a.getTime() == b.getTime();
+	return (a instanceof ObjectId && a.equals(b));
+}
+
+function matches(record, query) {
+	// This follows the Feathers query vocabulary with strict comparisons, as the database adapters do.
+	var qname;
+	for (qname in query) {
+		if (qname == '$limit' || qname == '$skip' || qname == '$sort' || qname == '$select') continue;
+		if (qname == '$or') { if (!query[qname].some(function (sub) { return matches(record, sub); })) return false; continue; }
+		if (qname == '$and') { if (!query[qname].every(function (sub) { return matches(record, sub); })) return false; continue; }
+		var value = record[qname];
+		var values = ((value instanceof Array) ? value : [value]);
+		var cond = query[qname];
+		if (cond instanceof Object && !(cond instanceof Date) && !(cond instanceof Array)) {
+			var op;
+			for (op in cond) {
+				var operand = cond[op];
+				if (op == '$in' && !values.some(function (v) { return operand.some(function (o) { return same(v, o); }); })) return false;
+				if (op == '$nin' && values.some(function (v) { return operand.some(function (o) { return same(v, o); }); })) return false;
+				if (op == '$ne' && values.some(function (v) { return same(v, operand); })) return false;
+				if (op == '$lt' && !(value < operand)) return false;
+				if (op == '$lte' && !(value <= operand)) return false;
+				if (op == '$gt' && !(value > operand)) return false;
+				if (op == '$gte' && !(value >= operand)) return false;
+			}
+		} else if (cond === null) {
+			if (value != null) return false;
+		} else if (!values.some(function (v) { return same(v, cond); })) {
+			return false;
+		}
+	}
+	return true;
+}
+
+function memoryService(name, records, options) {
+	// options.paginate is false or {default, max} as for the Feathers adapters; unpaginated services still honor $limit.
+	var opts = options || {};
+	var paginate = (('paginate' in opts) ? opts.paginate : {'default': 10, 'max': 50});
+	var service = {'name': name, 'records': records.map(function (record) { return clone(record); }), 'calls': {}, 'failures': 0};
+	var count = function (method) { service.calls[method] = (service.calls[method] || 0) + 1; };
+	var indexOf = function (id) {
+		var i;
+		for (i = 0; i < service.records.length; i++) if (same(service.records[i]._id, id)) return i;
+		return -1;
+	};
+	service.get = function (id) {
+		count('get');
+		var i = indexOf(id);
+		if (i < 0) return Promise.reject(new Error("No record " + id + " in " + name + "."));
+		return Promise.resolve(clone(service.records[i]));
+	};
+	service.find = function (params) {
+		count('find');
+		if (service.failures > 0) {
+			service.failures--;
+			return Promise.reject(new Error("The database is unavailable."));
+		}
+		var query = ((params && params.query) ? params.query : {});
+		var rv = service.records.filter(function (record) { return matches(record, query); });
+		if (query['$sort']) {
+			var skey = Object.keys(query['$sort'])[0];
+			var sdir = query['$sort'][skey];
+			rv.sort(function (a, b) { return ((a[skey] < b[skey]) ? -1 : ((a[skey] > b[skey]) ? 1 : 0)) * sdir; });
+		}
+		var total = rv.length;
+		var skip = query['$skip'] || 0;
+		var limit = (('$limit' in query) ? query['$limit'] : (paginate ? paginate['default'] : rv.length));
+		if (paginate && limit > paginate['max']) limit = paginate['max'];
+		rv = rv.slice(skip, skip + limit).map(function (record) { return clone(record); });
+		if (!paginate) return Promise.resolve(rv);
+		return Promise.resolve({'total': total, 'limit': limit, 'skip': skip, 'data': rv});
+	};
+	service.create = function (data) {
+		count('create');
+		service.records.push(clone(data));
+		return Promise.resolve(clone(data));
+	};
+	service.update = function (id, data) {
+		count('update');
+		var record = clone(data);
+		record._id = id;
+		service.records[indexOf(id)] = record;
+		return Promise.resolve(clone(record));
+	};
+	service.patch = function (id, data) {
+		count('patch');
+		var record = service.records[indexOf(id)];
+		var fname;
+		for (fname in data) record[fname] = data[fname];
+		return Promise.resolve(clone(record));
+	};
+	return service;
+}
+
+function clone(value) {
+	if (value instanceof Date) return new Date(value.getTime());
+	if (value instanceof ObjectId) return new ObjectId(value.hex);
+	if (value instanceof Array) return value.map(clone);
+	if (value instanceof Object) {
+		var rv = {};
+		var vname;
+		for (vname in value) rv[vname] = clone(value[vname]);
+		return rv;
+	}
+	return value;
+}
+
+function makeApp(data, config, options) {
+	// data maps service names to record lists, and options maps service names to memoryService options.
+	var app = {'services': {}};
+	var sname;
+	for (sname in data) app.services[sname] = memoryService(sname, data[sname], (options || {})[sname]);
+	app.service = function (name) { return app.services[name]; };
+	app.security = reprivileger.create(app, config || {});
+	return app;
+}
+
+// The shops example from createTestApp, as data.
+function shopData() {
+	return {
+		'users': [{'_id': 'U1', 'name': 'frank'}, {'_id': 'U2', 'name': 'bob'}],
+		'organizations': [{'_id': 'O1', 'name': 'franksfort'}],
+		'shops': [{'_id': 'S1', 'name': 'downtown', 'organization_id': 'O1'}, {'_id': 'S2', 'name': 'grand', 'organization_id': 'O1'}],
+		'sales': [{'_id': 'L1', 'shop_id': 'S1'}, {'_id': 'L2', 'shop_id': 'S2'}],
+		'authorities': [
+			{'_id': 'A1', 'user_id': 'U1', 'target_class': 'organizations', 'target_id': 'O1', 'privilege': 14, 'destroyed_at': null},
+			{'_id': 'A2', 'user_id': 'U2', 'target_class': 'shops', 'target_id': 'S2', 'privilege': 6, 'destroyed_at': null}
+		]
+	};
+}
+
+function shopConfig() {
+	return {
+		'data_schema': {
+			'organizations': {fields: {_id: {type: 'string', is_user_writable: 0}, name: {type: 'string'}}},
+			'shops': {fields: {_id: {type: 'string', is_user_writable: 0}, name: {type: 'string'}, organization_id: {type: 'string', target_class: 'organizations'}}},
+			'sales': {fields: {_id: {type: 'string', is_user_writable: 0}, shop_id: {type: 'string', target_class: 'shops'}}}
+		},
+		'privilege_transit': {'sales': [{key: 'shop_id', 'class': 'shops'}], 'shops': [{key: 'organization_id', 'class': 'organizations'}]}
+	};
+}
+
+test("access passes down privilege_transit", function () {
+	var app = makeApp(shopData(), shopConfig());
+	return Promise.all([
+		app.security.accessLevelSlow('U1', 'sales', 'L1'),
+		app.security.accessLevelSlow('U2', 'sales', 'L1'),
+		app.security.accessLevelSlow('U2', 'sales', 'L2')
+	]).then(function (levels) {
+		assert.deepStrictEqual(levels, [14, 0, 6]);
+	});
+});
+
+test("accessLevelCached memoizes levels in the request cache", function () {
+	var app = makeApp(shopData(), shopConfig());
+	var cache = app.security.accessCacheCreate(null);
+	var queries = 0;
+	return app.security.accessLevelCached('U1', 'sales', 'L1', cache).then(function (level) {
+		assert.strictEqual(level, 14);
+		queries = app.services.authorities.calls.find;
+		return app.security.accessLevelCached('U1', 'sales', 'L1', cache);
+	}).then(function (level) {
+		assert.strictEqual(level, 14);
+		assert.strictEqual(app.services.authorities.calls.find, queries);
+	});
+});
+
+test("a transit mask limits the bits that pass to the child", function () {
+	var config = shopConfig();
+	config['privilege_transit']['sales'][0]['mask'] = 2;
+	var app = makeApp(shopData(), config);
+	return Promise.all([
+		app.security.accessLevelSlow('U1', 'sales', 'L1'),
+		app.security.accessLevelMany('U1', 'sales', ['L1'])
+	]).then(function (results) {
+		assert.strictEqual(results[0], 2);
+		assert.deepStrictEqual(results[1], {'L1': 2});
+	});
+});
+
+test("explainAccess reports each hop with the bits it masks off", function () {
+	var config = shopConfig();
+	config['privilege_transit']['sales'][0]['mask'] = 2;
+	var app = makeApp(shopData(), config);
+	return app.security.explainAccess('U1', 'sales', 'L1').then(function (tree) {
+		var hop = tree.derivation.parents[0];
+		assert.strictEqual(tree.level, 2);
+		assert.strictEqual(tree.derivation.parents.length, 1);
+		assert.deepStrictEqual([hop.mask, hop.parent_level, hop.masked, hop.conferred], [2, 14, 12, 2]);
+		assert.strictEqual(hop.derivation.parents[0].derivation.authorities[0].authority_id, 'A1');
+		assert.ok(app.security.explainAccessText(tree).indexOf("(mask 0x2)") >= 0);
+	});
+});
+
+test("a role on an authority record expands to its privileges", function () {
+	var data = shopData();
+	data.authorities[1] = {'_id': 'A2', 'user_id': 'U2', 'target_class': 'shops', 'target_id': 'S2', 'role': 'reader', 'destroyed_at': null};
+	data.authorities.push({'_id': 'A3', 'user_id': 'U2', 'target_class': 'shops', 'target_id': 'S1', 'role': 'no_such_role', 'destroyed_at': null});
+	var app = makeApp(data, shopConfig());
+	return Promise.all([
+		app.security.accessLevelSlow('U2', 'sales', 'L2'),
+		app.security.accessLevelSlow('U2', 'sales', 'L1')
+	]).then(function (levels) {
+		assert.deepStrictEqual(levels, [2, 0]);
+	});
+});
+
+test("an authority record grants nothing outside its validity bounds", function () {
+	var data = shopData();
+	var hour = 3600000;
+	data.authorities = [
+		{'_id': 'A1', 'user_id': 'U1', 'target_class': 'shops', 'target_id': 'S1', 'privilege': 2, 'valid_until': new Date(Date.now() - hour), 'destroyed_at': null},
+		{'_id': 'A2', 'user_id': 'U1', 'target_class': 'shops', 'target_id': 'S2', 'privilege': 2, 'valid_from': new Date(Date.now() + hour), 'destroyed_at': null},
+		{'_id': 'A3', 'user_id': 'U2', 'target_class': 'shops', 'target_id': 'S2', 'privilege': 6, 'valid_from': new Date(Date.now() - hour), 'valid_until': new Date(Date.now() + hour), 'destroyed_at': null}
+	];
+	var app = makeApp(data, shopConfig());
+	return Promise.all([
+		app.security.accessLevelSlow('U1', 'sales', 'L1'),
+		app.security.accessLevelSlow('U1', 'sales', 'L2'),
+		app.security.accessLevelSlow('U2', 'sales', 'L2')
+	]).then(function (levels) {
+		assert.deepStrictEqual(levels, [0, 0, 6]);
+	});
+});
+
+test("accessLevelAt counts the authority records live at the time", function () {
+	var data = shopData();
+	data.authorities = [{'_id': 'A1', 'user_id': 'U1', 'target_class': 'shops', 'target_id': 'S1', 'privilege': 6,
+		'created_at': new Date('2026-03-01T00:00:00Z'), 'destroyed_at': new Date('2026-06-01T00:00:00Z')}];
+	var app = makeApp(data, shopConfig());
+	return Promise.all([
+		app.security.accessLevelAt('U1', 'sales', 'L1', '2026-02-01T00:00:00Z'),
+		app.security.accessLevelAt('U1', 'sales', 'L1', '2026-04-01T00:00:00Z'),
+		app.security.accessLevelAt('U1', 'sales', 'L1', '2026-07-01T00:00:00Z'),
+		app.security.accessLevelSlow('U1', 'sales', 'L1')
+	]).then(function (levels) {
+		assert.deepStrictEqual(levels, [0, 6, 0, 0]);
+		return app.security.accessLevelAt('U1', 'sales', 'L1', 'not a date').then(function () {
+			assert.fail("An invalid timestamp passed.");
+		}, function (err) {
+			assert.strictEqual(err.message, "Invalid timestamp.");
+		});
+	});
+});
+
+test("whoCanAccess lists the users with access and the paths that confer it", function () {
+	var app = makeApp(shopData(), shopConfig());
+	return Promise.all([
+		app.security.whoCanAccess('sales', 'L2'),
+		app.security.whoCanAccess('sales', 'L2', 8)
+	]).then(function (results) {
+		assert.deepStrictEqual(results[0].map(function (entry) { return [entry.user_id, entry.level]; }), [['U1', 14], ['U2', 6]]);
+		var path = results[0][1].paths[0];
+		assert.strictEqual(path.authority_id, 'A2');
+		assert.strictEqual(path.target_id, 'S2');
+		assert.strictEqual(path.conferred, 6);
+		assert.deepStrictEqual(results[1].map(function (entry) { return entry.user_id; }), ['U1']);
+	});
+});
+
+test("a deny entry strips bits from the record and its descendants", function () {
+	var data = shopData();
+	data.authorities.push({'_id': 'A3', 'user_id': 'U1', 'target_class': 'shops', 'target_id': 'S1', 'deny': 4, 'destroyed_at': null});
+	var app = makeApp(data, shopConfig());
+	return Promise.all([
+		app.security.accessLevelSlow('U1', 'shops', 'S1'),
+		app.security.accessLevelSlow('U1', 'sales', 'L1'),
+		app.security.accessLevelSlow('U1', 'sales', 'L2'),
+		app.security.accessLevelMany('U1', 'sales', ['L1', 'L2'])
+	]).then(function (levels) {
+		assert.deepStrictEqual(levels.slice(0, 3), [10, 10, 14]);
+		assert.deepStrictEqual(levels[3], {'L1': 10, 'L2': 14});
+	});
+});
+
+function groupApp() {
+	// U2 belongs to G2, which is nested in G1, and G1 holds an authority on S1.
+	var data = shopData();
+	data.groups = [{'_id': 'G1'}, {'_id': 'G2'}];
+	data.memberships = [
+		{'_id': 'M1', 'group_id': 'G2', 'user_id': 'U2', 'destroyed_at': null},
+		{'_id': 'M2', 'group_id': 'G1', 'member_group_id': 'G2', 'destroyed_at': null}
+	];
+	data.authorities.push({'_id': 'A3', 'group_id': 'G1', 'target_class': 'shops', 'target_id': 'S1', 'privilege': 6, 'destroyed_at': null});
+	var config = shopConfig();
+	config['group_service'] = 'groups';
+	config['membership_service'] = 'memberships';
+	return makeApp(data, config);
+}
+
+test("an authority granted to a group applies to the members of nested groups", function () {
+	var app = groupApp();
+	return Promise.all([
+		app.security.userGroups('U2'),
+		app.security.accessLevelSlow('U2', 'sales', 'L1'),
+		app.security.accessLevelSlow('U1', 'shops', 'S2'),
+		app.security.groupMembers('G1')
+	]).then(function (results) {
+		assert.deepStrictEqual(results[0].sort(), ['G1', 'G2']);
+		assert.strictEqual(results[1], 6);
+		assert.strictEqual(results[2], 14);
+		assert.deepStrictEqual(results[3], ['U2']);
+	});
+});
+
+test("accessLevelAt counts the group memberships live at the time", function () {
+	var app = groupApp();
+	app.services.memberships.records.forEach(function (mem) { mem.created_at = new Date('2026-06-01T00:00:00Z'); });
+	return Promise.all([
+		app.security.accessLevelAt('U2', 'sales', 'L1', '2026-03-01T00:00:00Z'),
+		app.security.accessLevelAt('U2', 'sales', 'L1', '2026-07-01T00:00:00Z'),
+		app.security.userGroups('U2', null, '2026-03-01T00:00:00Z')
+	]).then(function (results) {
+		assert.deepStrictEqual(results, [0, 6, []]);
+	});
+});
+
+test("a link with a when predicate passes nothing for records that do not match it", function () {
+	var data = shopData();
+	data.sales[0].status = 'draft';
+	var config = shopConfig();
+	config['privilege_transit']['sales'][0]['when'] = {status: {'$ne': 'draft'}};
+	var app = makeApp(data, config);
+	return Promise.all([
+		app.security.accessLevelSlow('U1', 'sales', 'L1'),
+		app.security.accessLevelSlow('U1', 'sales', 'L2'),
+		app.security.accessLevelMany('U1', 'sales', ['L1', 'L2'])
+	]).then(function (levels) {
+		assert.deepStrictEqual(levels.slice(0, 2), [0, 14]);
+		assert.deepStrictEqual(levels[2], {'L1': 0, 'L2': 14});
+	});
+});
+
+test("the JSON Schema exporter and importer round-trip a class", function () {
+	var app = makeApp({}, {
+		'data_schema': {'things': {fields: {
+			_id: {type: 'string', is_user_writable: 0},
+			email: {type: 'string', validation: 'required|email'},
+			count: {type: 'number', validation: 'integer|between:0,10'},
+			tags: {type: 'array', items: {type: 'string', validation: 'in:a,b'}, max_items: 3, unique_items: 1}
+		}}},
+		'privilege_transit': {}
+	});
+	var imported = app.security.jsonSchemaImport(app.security.jsonSchemaExport('things'), 1);
+	assert.deepStrictEqual(imported.problems, []);
+	assert.deepStrictEqual(imported.schema.fields.email, {'type': 'string', 'validation': 'required|email'});
+	assert.strictEqual(imported.schema.fields._id.is_user_writable, 0);
+	assert.deepStrictEqual(imported.schema.fields.tags, {'type': 'array', 'items': {'type': 'string', 'validation': 'in:a,b'}, 'max_items': 3, 'unique_items': 1});
+	assert.strictEqual(app.security.validateText(imported.schema.fields.count.validation, 11), -1);
+	assert.strictEqual(app.security.validateText(imported.schema.fields.count.validation, 4), 0);
+});
+
+function versionedPartners(records, options) {
+	var app = makeApp({'partners': records}, {
+		'data_schema': {'partners': {
+			version: 1,
+			migrations: {1: [{op: 'add_default', field: 'active', value: true}, {op: 'coerce', field: 'qty', type: 'number'}]},
+			fields: {_id: {type: 'string', is_user_writable: 0}, schema_version: {type: 'number', is_user_writable: 0}, name: {type: 'string'}, qty: {type: 'number'}, active: {type: 'boolean'}}
+		}},
+		'privilege_transit': {}
+	}, options);
+	return app;
+}
+
+test("an update stamps the current version", function () {
+	var app = versionedPartners([{'_id': 'P1', 'name': 'Acme', 'qty': 5}]);
+	var hook = {'app': app, 'id': 'P1', 'params': {'overlay': 1}, 'data': {'name': 'Acme', 'qty': 6, 'active': false}};
+	return app.security.hookUpdateOverlayPreflight('partners', hook).then(function (hook) {
+		assert.strictEqual(hook.data.schema_version, 1);
+	});
+});
+
+test("migrateClass dry runs report failures without writing", function () {
+	var app = versionedPartners([{'_id': 'P1', 'name': 'Acme', 'qty': 'many'}, {'_id': 'P2', 'name': 'Beta', 'qty': '2'}], {'partners': {'paginate': false}});
+	return app.security.migrateClass('partners', {'dry_run': 1, 'batch_size': 1}).then(function (report) {
+		assert.strictEqual(report.migrated, 1);
+		assert.deepStrictEqual(report.failed.map(function (failure) { return [failure.id, Object.keys(failure.errors)]; }), [['P1', ['qty']]]);
+		assert.strictEqual(app.service('partners').calls.update, undefined);
+	});
+});
+
+function loopApp(config) {
+	// F1 and F2 are each the parent of the other, and U1 holds an authority on F1 only.
+	var full_config = {
+		'data_schema': {'folders': {fields: {_id: {type: 'string', is_user_writable: 0}, parent_id: {type: 'string', target_class: 'folders'}}}},
+		'privilege_transit': {'folders': [{key: 'parent_id', 'class': 'folders'}]}
+	};
+	var cname;
+	for (cname in (config || {})) full_config[cname] = config[cname];
+	return makeApp({
+		'users': [{'_id': 'U1'}],
+		'folders': [{'_id': 'F1', 'parent_id': 'F2'}, {'_id': 'F2', 'parent_id': 'F1'}],
+		'authorities': [{'_id': 'A1', 'user_id': 'U1', 'target_class': 'folders', 'target_id': 'F1', 'privilege': 6, 'destroyed_at': null}]
+	}, full_config);
+}
+
+test("concurrent cached lookups on a loop in the data settle", function () {
+	var app = loopApp();
+	var cache = app.security.accessCacheCreate(null);
+	return Promise.all([
+		app.security.accessLevelCached('U1', 'folders', 'F1', cache),
+		app.security.accessLevelCached('U1', 'folders', 'F2', cache)
+	]).then(function (levels) {
+		assert.deepStrictEqual(levels, [6, 6]);
+	});
+});
+
+test("concurrent lookups on a loop in the data settle through the shared cache", function () {
+	var app = loopApp({'access_cache_ttl': 60000});
+	return Promise.all([
+		app.security.accessLevelCached('U1', 'folders', 'F2', null),
+		app.security.accessLevelCached('U1', 'folders', 'F1', null),
+		app.security.accessLevelMany('U1', 'folders', ['F1', 'F2'], null)
+	]).then(function (levels) {
+		assert.deepStrictEqual(levels.slice(0, 2), [6, 6]);
+		assert.deepStrictEqual(levels[2], {'F1': 6, 'F2': 6});
+		return app.security.accessLevelCached('U1', 'folders', 'F2', null);
+	}).then(function (level) {
+		assert.strictEqual(level, 6);
+	});
+});
+
+test("accessLevelMany stops at a loop in the data without walking to the depth limit", function () {
+	var app = loopApp();
+	var logged = [];
+	var error = console.error;
+	console.error = function (message) { logged.push(message); };
+	return app.security.accessLevelMany('U1', 'folders', ['F1', 'F2']).then(function (levels) {
+		console.error = error;
+		assert.deepStrictEqual(levels, {'F1': 6, 'F2': 6});
+		assert.ok(app.services.folders.calls.find <= 3);
+		assert.deepStrictEqual(logged, []);
+	}, function (err) {
+		console.error = error;
+		return Promise.reject(err);
+	});
+});
+
+test("findAll pages through an unpaginated service", function () {
+	var records = [];
+	var i;
+	for (i = 0; i < 7; i++) records.push({'_id': 'R' + i});
+	var app = makeApp({'things': records}, {'access_batch_size': 3}, {'things': {'paginate': false}});
+	return app.security.findAll('things', {}).then(function (rows) {
+		assert.strictEqual(rows.length, 7);
+	});
+});
+
+function numericShopApp() {
+	return makeApp({
+		'users': [{'_id': 'U1'}],
+		'organizations': [{'_id': 1}],
+		'shops': [{'_id': 10, 'organization_id': 1}, {'_id': 11, 'organization_id': 2}],
+		'sales': [{'_id': 100, 'shop_id': 10}, {'_id': 101, 'shop_id': 11}],
+		'authorities': [{'_id': 'A1', 'user_id': 'U1', 'target_class': 'organizations', 'target_id': 1, 'privilege': 14, 'destroyed_at': null}]
+	}, shopConfig());
+}
+
+test("the reachable query keeps numeric ids", function () {
+	var app = numericShopApp();
+	return app.security.reachableFindQuery('U1', 'sales', {}).then(function (query) {
+		return app.service('sales').find({query: query});
+	}).then(function (res) {
+		assert.deepStrictEqual(res.data.map(function (rec) { return rec._id; }), [100]);
+	});
+});
+
+function collect(readable) {
+	return new Promise(function (resolve, reject) {
+		var items = [];
+		readable.on('data', function (item) { items.push(item); });
+		readable.on('end', function () { resolve(items); });
+		readable.on('error', reject);
+	});
+}
+
+test("reachable listings page through an unpaginated service", function () {
+	var data = shopData();
+	var i;
+	for (i = 3; i <= 7; i++) data.sales.push({'_id': 'L' + i, 'shop_id': 'S2'});
+	var app = makeApp(data, shopConfig(), {'sales': {'paginate': false}});
+	app.security.access_batch_size = 2;
+	return app.security.listReachable('U2', 'sales', 2, 2).then(function (page) {
+		assert.strictEqual(page.total, null);
+		assert.deepStrictEqual(page.data.map(function (entry) { return entry.target_id; }), ['L4', 'L5']);
+		return collect(app.security.streamReachable('U2', 'sales'));
+	}).then(function (entries) {
+		assert.deepStrictEqual(entries.map(function (entry) { return entry.target_id; }), ['L2', 'L3', 'L4', 'L5', 'L6', 'L7']);
+	});
+});
+
+test("reachable listings stop on the total of a paginated service", function () {
+	var data = shopData();
+	data.sales.push({'_id': 'L3', 'shop_id': 'S2'});
+	var app = makeApp(data, shopConfig(), {'sales': {'paginate': {'default': 10, 'max': 1}}});
+	return collect(app.security.streamReachable('U2', 'sales')).then(function (entries) {
+		assert.deepStrictEqual(entries.map(function (entry) { return entry.target_id; }), ['L2', 'L3']);
+	});
+});
+
+test("a patch does not mark an unmigrated record as current", function () {
+	var app = versionedPartners([{'_id': 'P1', 'name': 'Acme', 'qty': 5}]);
+	var hook = {'app': app, 'id': 'P1', 'params': {'overlay': 1}, 'data': {'name': 'Acme Inc'}};
+	return app.security.hookPatchOverlayPreflight('partners', hook).then(function (hook) {
+		assert.ok(!('schema_version' in hook.data));
+		return app.service('partners').patch('P1', hook.data);
+	}).then(function () {
+		return app.security.migrateClass('partners', {});
+	}).then(function (report) {
+		assert.strictEqual(report.migrated, 1);
+		return app.service('partners').get('P1');
+	}).then(function (record) {
+		assert.deepStrictEqual(record, {'_id': 'P1', 'name': 'Acme Inc', 'qty': 5, 'active': true, 'schema_version': 1});
+	});
+});
+
+test("migrateClass runs past a page cap below its batch size", function () {
+	var records = [];
+	var i;
+	for (i = 0; i < 5; i++) records.push({'_id': 'P' + i, 'name': 'N' + i, 'qty': String(i)});
+	var app = versionedPartners(records, {'partners': {'paginate': {'default': 2, 'max': 2}}});
+	return app.security.migrateClass('partners', {'batch_size': 4}).then(function (report) {
+		assert.strictEqual(report.done, 1);
+		assert.strictEqual(report.migrated, 5);
+		assert.strictEqual(report.scanned, 5);
+		assert.ok(app.service('partners').records.every(function (record) { return record.schema_version === 1 && typeof(record.qty) == 'number'; }));
+	});
+});
+
+test("join links match ids by value", function () {
+	var app = makeApp({
+		'users': [{'_id': 'U1'}],
+		'shops': [{'_id': new ObjectId('s1')}, {'_id': new ObjectId('s2')}],
+		'products': [{'_id': 500}, {'_id': 501}],
+		'notes': [{'_id': 900, 'product_id': 500}, {'_id': 901, 'product_id': 501}],
+		'shop_products': [{'_id': 'J1', 'product_id': 500, 'shop_id': new ObjectId('s1')}, {'_id': 'J2', 'product_id': 501, 'shop_id': new ObjectId('s2')}],
+		'authorities': [{'_id': 'A1', 'user_id': 'U1', 'target_class': 'shops', 'target_id': new ObjectId('s1'), 'privilege': 14, 'destroyed_at': null}]
+	}, {
+		'data_schema': {
+			'shops': {fields: {_id: {type: 'object'}}},
+			'products': {fields: {_id: {type: 'number'}}},
+			'notes': {fields: {_id: {type: 'number'}, product_id: {type: 'number', target_class: 'products'}}}
+		},
+		'privilege_transit': {'products': [{via: 'shop_products', from: 'product_id', to: 'shop_id', 'class': 'shops'}], 'notes': [{key: 'product_id', 'class': 'products'}]}
+	});
+	var reachable = function (target_class) {
+		return app.security.reachableFindQuery('U1', target_class, {}).then(function (query) {
+			return app.service(target_class).find({query: query});
+		}).then(function (res) {
+			return res.data.map(function (rec) { return rec._id; });
+		});
+	};
+	return Promise.all([reachable('products'), reachable('notes')]).then(function (ids) {
+		assert.deepStrictEqual(ids, [[500], [900]]);
+	});
+});
+
+test("unique ignores the record being checked only in its own service", function () {
+	var app = makeApp({
+		'users': [{'_id': 'X', 'email': 'a@example.com'}],
+		'profiles': [{'_id': 'X', 'email': 'a@example.com'}]
+	}, {
+		'data_schema': {'profiles': {fields: {_id: {type: 'string', is_user_writable: 0}, email: {type: 'string', validation: 'unique:users,email'}, nick: {type: 'string', validation: 'unique:profiles,email'}}}},
+		'privilege_transit': {}
+	});
+	var schema = app.security.data_schema.profiles;
+	return Promise.all([
+		app.security.checkTypesUpdate(schema, {'email': 'a@example.com'}, 1, 0, null, 0, {'_id': 'X'}),
+		app.security.checkTypesUpdate(schema, {'nick': 'a@example.com'}, 1, 0, null, 0, {'_id': 'X'})
+	]).then(function (results) {
+		assert.deepStrictEqual(results, [-1, 0]);
+	});
+});
+
+test("a patch scopes unique by the unwritable fields of the record", function () {
+	var app = makeApp({
+		'shops': [{'_id': 'S1', 'name': 'a', 'organization_id': 'O1'}, {'_id': 'S2', 'name': 'b', 'organization_id': 'O2'}, {'_id': 'S3', 'name': 'c', 'organization_id': 'O2'}, {'_id': 'S4', 'name': 'd', 'organization_id': null}]
+	}, {
+		'data_schema': {'shops': {fields: {_id: {type: 'string', is_user_writable: 0}, organization_id: {type: 'string', is_user_writable: 0}, name: {type: 'string', validation: 'unique:shops,name,organization_id'}}}},
+		'privilege_transit': {}
+	});
+	var patch = function (id, name) {
+		return app.security.hookPatchOverlayPreflight('shops', {'app': app, 'id': id, 'params': {'overlay': 1}, 'data': {'name': name}}).then(function () { return 'accepted'; }, function (err) { return 'rejected'; });
+	};
+	return Promise.all([patch('S3', 'b'), patch('S3', 'a'), patch('S3', 'c'), patch('S3', 'd')]).then(function (results) {
+		assert.deepStrictEqual(results, ['rejected', 'accepted', 'accepted', 'accepted']);
+	});
+});
+
+test("the configuration accepts self-referencing classes but not cycles through other classes or models that contain themselves", function () {
+	var app = loopApp();
+	assert.deepStrictEqual(app.security.validateConfiguration(0, 0), []);
+	app.security.privilege_transit['boxes'] = [{key: 'folder_id', 'class': 'folders'}];
+	app.security.privilege_transit['folders'].push({key: 'box_id', 'class': 'boxes'});
+	app.security.data_schema['boxes'] = 'not a schema';
+	assert.deepStrictEqual(app.security.validateConfiguration(0, 0).map(function (problem) { return problem.message; }).filter(function (message) { return message.indexOf("cycle") >= 0; }),
+		["The classes form a cycle (folders -> boxes -> folders)."]);
+	app.security.privilege_transit['folders'].pop();
+	delete app.security.privilege_transit['boxes'];
+	delete app.security.data_schema['boxes'];
+	app.security.models = {
+		'a': {fields: {b: {submodel: 'b'}}},
+		'b': {fields: {list: {type: 'array', items: {submodel_inline: {fields: {back: {submodel: 'a'}}}}}}},
+		'c': {fields: {own: {submodel: 'c'}, other: {submodel: 'b'}}}
+	};
+	assert.deepStrictEqual(app.security.validateConfiguration(0, 0).map(function (problem) { return problem.message; }),
+		["The model contains itself (a -> b -> a).", "The model contains itself (c -> c)."]);
+});
+
+test("a validation rule with a bad parameter fails the value and is reported by the configuration check", function () {
+	var app = makeApp({'notes': []}, {'data_schema': {'notes': {fields: {_id: {type: 'string'}, code: {type: 'string'}}}}});
+	app.security.data_schema.notes.fields.code.validation = 'regex:[';
+	var logged = [];
+	var log = console.log;
+	console.log = function (message) { logged.push(message); };
+	var failures = app.security.validateTextFailures('regex:[', 'abc');
+	console.log = log;
+	assert.deepStrictEqual(failures, [{'rule': 'regex', 'parameter': '['}]);
+	assert.deepStrictEqual(logged, []);
+	assert.deepStrictEqual(app.security.validateConfiguration(0, 0).map(function (problem) { return problem.path; }), ['data_schema.notes.fields.code.validation']);
+});
+
+test("the JSON Schema importer reports unsupported keywords on whole records and merges referenced rules", function () {
+	var app = makeApp({}, {});
+	var imported = app.security.jsonSchemaImport({
+		'type': 'object',
+		'minProperties': 1,
+		'allOf': [{'required': ['code']}],
+		'properties': {
+			'code': {'$ref': '#/$defs/Code', 'pattern': '^[a-z]+$'},
+			'address': {'$ref': '#/$defs/Address'}
+		},
+		'$defs': {
+			'Code': {'type': 'string', 'maxLength': 8},
+			'Address': {'type': 'object', 'dependentRequired': {'city': ['zip']}, 'properties': {'city': {'type': 'string'}, 'zip': {'type': 'string'}}}
+		}
+	});
+	assert.deepStrictEqual(imported.problems.map(function (problem) { return problem.path; }).sort(), ['#/$defs/Address/dependentRequired', '#/allOf', '#/minProperties']);
+	assert.deepStrictEqual(imported.schema.fields.code, {'type': 'string', 'validation': 'max:8|regex:^[a-z]+$'});
+	assert.deepStrictEqual(imported.models.Address.fields, {'city': {'type': 'string'}, 'zip': {'type': 'string'}});
+});
+
+test("a privileges registry without checks falls back on the default ones", function () {
+	var config = shopConfig();
+	config['privileges'] = {bits: {read: {bit: 2, transitive: 1}, write: {bit: 4, transitive: 1}}, roles: {administrator: 0xFF}};
+	assert.throws(function () { makeApp(shopData(), config); }, /default one names privileges that the registry lacks/);
+	config['privileges'].bits.view = {bit: 1, transitive: 0};
+	config['privileges'].bits.manage = {bit: 8, transitive: 1};
+	config['privileges'].roles.manager = ['read', 'write', 'manage'];
+	var app = makeApp(shopData(), config);
+	assert.deepStrictEqual(app.security.validateConfiguration(0, 0), []);
+	assert.strictEqual(app.security.privilegeCheck(2, 'read'), 1);
+	assert.strictEqual(app.security.privilegeCheck(2, 'write'), 0);
+	assert.strictEqual(app.security.privilegeCheck(6, 'no_such_check'), 0);
+	assert.strictEqual(app.security.privilegeCheckBits('no_such_check'), null);
+});
+
+test("a privileges registry without bits keeps view from passing down privilege_transit", function () {
+	var data = shopData();
+	data.authorities = [{'_id': 'A1', 'user_id': 'U1', 'target_class': 'shops', 'target_id': 'S1', 'privilege': 3, 'destroyed_at': null}];
+	var app = makeApp(data, shopConfig());
+	app.security.privileges = {'roles': {}};
+	return Promise.all([
+		app.security.accessLevelSlow('U1', 'shops', 'S1'),
+		app.security.accessLevelSlow('U1', 'sales', 'L1')
+	]).then(function (levels) {
+		assert.deepStrictEqual(levels, [3, 2]);
+	});
+});
+
+test("levels resting on a failed query are not memoized", function () {
+	var config = shopConfig();
+	config['access_cache_ttl'] = 60000;
+	var app = makeApp(shopData(), config);
+	var first = function () {
+		app.services.authorities.failures = 3;
+		return app.security.accessLevelCached('U1', 'sales', 'L1', app.security.accessCacheCreate(null));
+	};
+	var again = function () {
+		return app.security.accessLevelCached('U1', 'sales', 'L1', app.security.accessCacheCreate(null));
+	};
+	return first().then(function (level) {
+		assert.strictEqual(level, 0);
+		return again();
+	}).then(function (level) {
+		assert.strictEqual(level, 14);
+	});
+});
+
+test("the cache invalidation hook drops the levels of the previous holder of a patched authority", function () {
+	var config = shopConfig();
+	config['access_cache_ttl'] = 60000;
+	var app = makeApp(shopData(), config);
+	var level = function () { return app.security.accessLevelCached('U2', 'shops', 'S2', app.security.accessCacheCreate(null)); };
+	return level().then(function (before) {
+		assert.strictEqual(before, 6);
+		return app.services.authorities.patch('A2', {'user_id': 'U1'});
+	}).then(function (result) {
+		return app.security.hookAccessCacheInvalidate('authorities', {'app': app, 'params': {}, 'method': 'patch', 'id': 'A2', 'result': result});
+	}).then(function () {
+		return level();
+	}).then(function (after) {
+		assert.strictEqual(after, 0);
+	});
+});
+
+test("findByIds pages through a batch matching more records than the batch size", function () {
+	var config = shopConfig();
+	config['access_batch_size'] = 2;
+	var data = shopData();
+	data.authorities.push({'_id': 'A3', 'user_id': 'U2', 'target_class': 'organizations', 'target_id': 'O1', 'privilege': 2, 'destroyed_at': null});
+	data.authorities.push({'_id': 'A4', 'user_id': 'U1', 'target_class': 'shops', 'target_id': 'S1', 'privilege': 2, 'destroyed_at': null});
+	var app = makeApp(data, config);
+	return app.security.findByIds('authorities', 'target_id', ['O1', 'S1'], {destroyed_at: null}).then(function (rows) {
+		assert.deepStrictEqual(rows.map(function (row) { return row._id; }).sort(), ['A1', 'A3', 'A4']);
+	});
+});
+
+test("confirmation fields pass the exclusive check and are not kept", function () {
+	var app = makeApp({}, {'data_schema': {'accounts': {fields: {
+		_id: {type: 'string', is_user_writable: 0},
+		password: {type: 'string', validation: 'required|confirmed'}
+	}}}, 'privilege_transit': {}});
+	var schema = app.security.data_schema.accounts;
+	var good = {'password': 'secret', 'password_confirmation': 'secret'};
+	var bad = {'password': 'secret', 'password_confirmation': 'other'};
+	return Promise.all([
+		app.security.checkTypesCreate(schema, good, 1, 1, null, 0),
+		app.security.checkTypesCreate(schema, bad, 1, 1, null, 0)
+	]).then(function (results) {
+		assert.deepStrictEqual(results, [0, -1]);
+		assert.deepStrictEqual(good, {'password': 'secret'});
+	});
+});
+
+test("a deny entry on a record linked through a join service leaves the other records of the class out", function () {
+	var app = makeApp({
+		'users': [{'_id': 'U1'}],
+		'shops': [{'_id': 'S1'}, {'_id': 'S2'}],
+		'products': [{'_id': 'P1'}, {'_id': 'P2'}, {'_id': 'P3'}],
+		'shop_products': [{'_id': 'J1', 'product_id': 'P1', 'shop_id': 'S1'}, {'_id': 'J2', 'product_id': 'P2', 'shop_id': 'S1'}, {'_id': 'J3', 'product_id': 'P3', 'shop_id': 'S2'}],
+		'authorities': [
+			{'_id': 'A1', 'user_id': 'U1', 'target_class': 'shops', 'target_id': 'S1', 'privilege': 6, 'destroyed_at': null},
+			{'_id': 'A2', 'user_id': 'U1', 'target_class': 'products', 'target_id': 'P1', 'deny': 0xFF, 'destroyed_at': null}
+		]
+	}, {
+		'data_schema': {'shops': {fields: {_id: {type: 'string'}}}, 'products': {fields: {_id: {type: 'string'}}}},
+		'privilege_transit': {'products': [{via: 'shop_products', from: 'product_id', to: 'shop_id', 'class': 'shops'}]}
+	});
+	return app.security.reachableFindQuery('U1', 'products', {}).then(function (query) {
+		return app.service('products').find({query: query});
+	}).then(function (res) {
+		assert.deepStrictEqual(res.data.map(function (rec) { return rec._id; }), ['P2']);
+	});
+});
+
+function chainApp() {
+	// F3 is in F2, which is in F1, and U1 holds an authority on F1 only. F4 is in no folder.
+	return makeApp({
+		'users': [{'_id': 'U1'}],
+		'folders': [{'_id': 'F1', 'parent_id': null}, {'_id': 'F2', 'parent_id': 'F1'}, {'_id': 'F3', 'parent_id': 'F2'}, {'_id': 'F4', 'parent_id': null}],
+		'authorities': [{'_id': 'A1', 'user_id': 'U1', 'target_class': 'folders', 'target_id': 'F1', 'privilege': 6, 'destroyed_at': null}]
+	}, {
+		'data_schema': {'folders': {fields: {_id: {type: 'string', is_user_writable: 0}, parent_id: {type: 'string', target_class: 'folders'}}}},
+		'privilege_transit': {'folders': [{key: 'parent_id', 'class': 'folders'}]}
+	});
+}
+
+test("the reachable query follows a class linking to itself down a chain of records", function () {
+	var app = chainApp();
+	var loop = loopApp();
+	return Promise.all([
+		app.security.accessLevelSlow('U1', 'folders', 'F3'),
+		app.security.reachableFindQuery('U1', 'folders', {}).then(function (query) {
+			return app.service('folders').find({query: query});
+		}),
+		loop.security.reachableFindQuery('U1', 'folders', {}).then(function (query) {
+			return loop.service('folders').find({query: query});
+		})
+	]).then(function (results) {
+		assert.strictEqual(results[0], 6);
+		assert.deepStrictEqual(results[1].data.map(function (rec) { return rec._id; }), ['F1', 'F2', 'F3']);
+		assert.deepStrictEqual(results[2].data.map(function (rec) { return rec._id; }).sort(), ['F1', 'F2']);
+	});
+});
+
+test("reachable listings include every record of a folder chain three deep", function () {
+	var app = chainApp();
+	return app.security.listReachable('U1', 'folders', 0, 10).then(function (page) {
+		assert.deepStrictEqual(page.data.map(function (entry) { return [entry.target_id, entry.level]; }), [['F1', 6], ['F2', 6], ['F3', 6]]);
+		return collect(app.security.streamReachable('U1', 'folders'));
+	}).then(function (entries) {
+		assert.deepStrictEqual(entries.map(function (entry) { return entry.target_id; }), ['F1', 'F2', 'F3']);
+	});
+});
+
+function run() {
+	var failures = 0;
+	var next = function (index) {
+		if (index >= tests.length) {
+			console.log((tests.length - failures) + " of " + tests.length + " tests passed.");
+			process.exitCode = (failures > 0 ? 1 : 0);
+			return;
+		}
+		var timer = null;
+		// A test that never settles fails instead of ending the run silently.
+		var timeout = new Promise(function (resolve, reject) {
+			timer = setTimeout(function () { reject(new Error("The test timed out.")); }, 2000);
+		});
+		Promise.race([Promise.resolve().then(tests[index].fn), timeout]).then(function () {
+			clearTimeout(timer);
+			console.log("ok " + (index + 1) + " - " + tests[index].name);
+		}, function (err) {
+			clearTimeout(timer);
+			failures++;
+			console.log("not ok " + (index + 1) + " - " + tests[index].name);
+			console.log(String((err && err.stack) || err).split("\n").map(function (line) { return "  # " + line; }).join("\n"));
+		}).then(function () { next(index + 1); });
+	};
+	next(0);
+}
+
+run();